@@ -1 +1,47 @@
-import './src/styles/global.css'
\ No newline at end of file
+import React from 'react'
+import './src/styles/global.css'
+import { MotionPreferenceProvider } from './src/hooks/use-motion-preference'
+import { ConsentProvider } from './src/hooks/use-consent'
+import { LocaleProvider } from './src/hooks/use-locale'
+import { ThemeProvider } from './src/hooks/use-theme'
+import Layout from './src/components/Layout'
+import { setPreviousLocation } from './src/lib/analytics/referrer'
+import { track } from './src/lib/analytics/track'
+import { startRum } from './src/lib/rum/collect'
+
+// Web Vitals, long tasks and uncaught errors, posted to src/api/rum.js
+export const onClientEntry = () => {
+  startRum()
+}
+
+export const wrapRootElement = ({ element }) => (
+  <MotionPreferenceProvider>
+    <ThemeProvider>
+      <ConsentProvider>{element}</ConsentProvider>
+    </ThemeProvider>
+  </MotionPreferenceProvider>
+)
+
+// Locale from the page's context (gatsby-node.js gives every page one)
+export const wrapPageElement = ({ element, props }) => (
+  <LocaleProvider locale={props.pageContext.locale}>
+    <Layout {...props}>{element}</Layout>
+  </LocaleProvider>
+)
+
+// Before the new page renders, so its effects see where the visitor came from
+export const onPreRouteUpdate = ({ prevLocation }) => {
+  setPreviousLocation(prevLocation)
+}
+
+// Queued by track() until the visitor decides on analytics. The Head API updates
+// document.title after this fires, so wait a tick before reading it.
+export const onRouteUpdate = ({ location }) => {
+  setTimeout(() => {
+    track('page_view', {
+      page_path: location.pathname + location.search + location.hash,
+      page_location: window.location.href,
+      page_title: document.title,
+    })
+  }, 32)
+}
@@ -1,11 +1,22 @@
+const { defaultLocale, locales } = require("./src/config/locales")
+const { defaultTheme, themes } = require("./src/config/tokens")
+const { alternatePaths, localizePath, parseLocale } = require("./src/lib/i18n/paths")
+
+const defaultMetadata = locales.find(({ code }) => code === defaultLocale).siteMetadata
+
 /**
  * @type {import('gatsby').GatsbyConfig}
  */
 module.exports = {
   siteMetadata: {
-    title: `38 South`,
-    description: `Elevating products and inspiring teams - leverage our experience to win.`,
+    // Title and description per language come from src/config/locales.js
+    ...defaultMetadata,
     siteUrl: `https://thirtyeight.so`,
+    // Default share image and organisation logo (generated by gatsby-plugin-manifest)
+    image: `/icons/icon-512x512.png`,
+    // Without the @; leave empty to skip twitter:site/creator
+    twitterUsername: ``,
+    locales: locales.map(({ code, hreflang, name, siteMetadata }) => ({ code, hreflang, name, ...siteMetadata })),
   },
   plugins: [
     {
@@ -14,21 +25,61 @@ module.exports = {
         name: "38 South",
         short_name: "38South",
         start_url: "/",
-        background_color: "#000",
-        theme_color: "#fff",
+        background_color: themes[defaultTheme].background,
+        theme_color: themes[defaultTheme].background,
         display: "standalone",
         icon: "src/images/favicon.png",
         crossOrigin: `use-credentials`,
       },
     },
+    "gatsby-plugin-image",
     {
-      resolve: "gatsby-plugin-google-gtag",
+      resolve: "gatsby-plugin-sitemap",
       options: {
-        trackingIds: ["G-5KHWNQ8QW0"],
+        // Markdown pages (blog posts) carry their date as lastmod, and every page lists
+        // its copies in the other locales. The per-locale 404s stay out.
+        query: `
+          {
+            site {
+              siteMetadata {
+                siteUrl
+              }
+            }
+            allSitePage {
+              nodes {
+                path
+              }
+            }
+            allMarkdownRemark(filter: { fields: { hidden: { eq: false } } }) {
+              nodes {
+                fields {
+                  path
+                  locales
+                }
+                frontmatter {
+                  date
+                }
+              }
+            }
+          }
+        `,
+        resolvePages: ({ allSitePage, allMarkdownRemark }) => {
+          const dates = new Map(
+            allMarkdownRemark.nodes.flatMap((node) =>
+              node.fields.locales.map((code) => [localizePath(node.fields.path, code), node.frontmatter.date])
+            )
+          )
+          return allSitePage.nodes
+            .filter((page) => !parseLocale(page.path).path.startsWith("/404"))
+            .map((page) => ({ ...page, lastmod: dates.get(page.path.replace(/\/$/, "")) }))
+        },
+        serialize: ({ path, lastmod }) => ({
+          url: path,
+          lastmod,
+          links: alternatePaths(path).map(({ hreflang, path }) => ({ lang: hreflang, url: path })),
+        }),
       },
     },
-    "gatsby-plugin-image",
-    "gatsby-plugin-sitemap",
     "gatsby-plugin-sharp",
     "gatsby-transformer-sharp",
     {
@@ -39,6 +90,31 @@ module.exports = {
       },
       __key: "images"
     },
+    {
+      resolve: 'gatsby-source-filesystem',
+      options: {
+        name: "services",
+        path: "./content/services/",
+      },
+      __key: "services"
+    },
+    {
+      resolve: 'gatsby-source-filesystem',
+      options: {
+        name: "work",
+        path: "./content/work/",
+      },
+      __key: "work"
+    },
+    {
+      resolve: 'gatsby-source-filesystem',
+      options: {
+        name: "blog",
+        path: "./content/blog/",
+      },
+      __key: "blog"
+    },
+    "gatsby-transformer-remark",
     {
       resolve: 'gatsby-plugin-google-fonts',
       options: {
@@ -0,0 +1,307 @@
+const fs = require("fs")
+const path = require("path")
+const { writeFeeds } = require("./gatsby/feeds")
+const { writeOgImages } = require("./gatsby/og-image")
+const { writeIconRegistry } = require("./gatsby/icons")
+const { writeTokenStyles } = require("./gatsby/tokens")
+const { defaultLocale, locales } = require("./src/config/locales")
+const { localizePath } = require("./src/lib/i18n/paths")
+
+// Drafts (`draft: true` in frontmatter) get pages in `gatsby develop` only
+const showDrafts = process.env.NODE_ENV !== "production"
+
+const POSTS_PER_PAGE = 10
+
+// Markdown collections, keyed by the gatsby-source-filesystem `name` each is sourced under.
+// `sort` orders entries for previous/next links; `context` adds to each page's context.
+const collections = {
+  services: {
+    basePath: "/services",
+    template: path.resolve("./src/templates/service.js"),
+    sort: (a, b) => a.frontmatter.order - b.frontmatter.order,
+  },
+  work: {
+    basePath: "/work",
+    template: path.resolve("./src/templates/case-study.js"),
+    sort: (a, b) => b.frontmatter.year - a.frontmatter.year || a.frontmatter.title.localeCompare(b.frontmatter.title),
+    // Case studies are folders: content/work/<slug>/index.md plus gallery/*.jpg
+    context: (node) => ({ galleryDir: `${node.fields.dir}/gallery` }),
+  },
+  blog: {
+    basePath: "/insights",
+    template: path.resolve("./src/templates/blog-post.js"),
+    sort: (a, b) => new Date(b.frontmatter.date) - new Date(a.frontmatter.date),
+  },
+}
+
+// Letters in any script survive, so tags on translated posts still get a slug
+const slugify = (text) => text.toLowerCase().replace(/&/g, " and ").replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-|-$/g, "")
+
+// "design.ko" -> ["design", "ko"]; a file name without a locale suffix is the default locale's
+const splitLocale = (name) => {
+  const match = name.match(/^(.+)\.([^.]+)$/)
+  return match && locales.some(({ code }) => code === match[2]) ? [match[1], match[2]] : [name, defaultLocale]
+}
+
+// Generated sources, written before webpack starts; restart develop after changing
+// their inputs:
+//   src/lib/icons/registry.json  read by <Icon>, from src/images/*.svg
+//   src/scss/_tokens.scss        used by global.scss, from src/config/tokens.js
+exports.onPreBootstrap = ({ reporter }) => {
+  writeIconRegistry({
+    dir: path.join(__dirname, "src/images"),
+    file: path.join(__dirname, "src/lib/icons/registry.json"),
+    reporter,
+  })
+  writeTokenStyles({ file: path.join(__dirname, "src/scss/_tokens.scss"), reporter })
+}
+
+// Typed frontmatter, so queries still work while a field is missing from every file
+exports.createSchemaCustomization = ({ actions }) => {
+  actions.createTypes(`
+    type MarkdownRemark implements Node {
+      frontmatter: Frontmatter
+      fields: MarkdownRemarkFields
+    }
+    type Frontmatter {
+      title: String
+      icon: String
+      order: Int
+      summary: String
+      hero: File @fileByRelativePath
+      client: String
+      year: Int
+      services: [String]
+      stack: [String]
+      outcomes: [Outcome]
+      cover: File @fileByRelativePath
+      date: Date @dateformat
+      author: String
+      tags: [String]
+      draft: Boolean
+    }
+    type Outcome {
+      label: String
+      value: String
+    }
+    type MarkdownRemarkFields {
+      collection: String
+      slug: String
+      dir: String
+      locale: String
+      locales: [String]
+      path: String
+      hidden: Boolean
+      tags: [Tag]
+    }
+    type Tag {
+      name: String
+      slug: String
+    }
+  `)
+}
+
+// Tags each markdown node with its collection, its folder, a slug from its file name
+// (or, for an index.md, from its folder's name) and its page path. `hidden` marks
+// drafts in production builds; list queries filter on it.
+// `design.ko.md` is the Korean copy of `design.md`: same slug and path (pages live at
+// localizePath(path, locale)), `locale` "ko". `locales` lists the locales a node is shown
+// in: its own, plus, for a default-locale file, every locale it has no translation for.
+// Restart `gatsby develop` after adding a translation.
+exports.onCreateNode = ({ node, getNode, actions }) => {
+  if (node.internal.type !== "MarkdownRemark") return
+
+  const file = getNode(node.parent)
+  const collection = collections[file.sourceInstanceName]
+  const [name, locale] = splitLocale(file.name)
+  const slug = name === "index" ? path.basename(file.relativeDirectory) : name
+  const translated = (code) => fs.existsSync(path.join(file.dir, `${name}.${code}${file.ext}`))
+  const field = (name, value) => actions.createNodeField({ node, name, value })
+  field("collection", file.sourceInstanceName)
+  field("slug", slug)
+  field("dir", file.relativeDirectory)
+  field("path", collection ? `${collection.basePath}/${slug}` : null)
+  field("locale", locale)
+  field(
+    "locales",
+    locale === defaultLocale
+      ? locales.map(({ code }) => code).filter((code) => code === defaultLocale || !translated(code))
+      : [locale]
+  )
+  field("hidden", !!node.frontmatter.draft && !showDrafts)
+  field("tags", (node.frontmatter.tags || []).map((name) => ({ name, slug: slugify(name) })))
+}
+
+exports.createPages = async ({ graphql, actions, reporter }) => {
+  const result = await graphql(`
+    query {
+      allMarkdownRemark {
+        nodes {
+          id
+          fields {
+            collection
+            slug
+            dir
+            path
+            hidden
+            locales
+            tags {
+              name
+              slug
+            }
+          }
+          frontmatter {
+            title
+            order
+            year
+            date
+          }
+        }
+      }
+    }
+  `)
+  if (result.errors) {
+    reporter.panicOnBuild("Error loading markdown for createPages", result.errors)
+    return
+  }
+
+  // Every locale gets every entry: its translation where there is one, otherwise the
+  // default-locale file (see `locales` in onCreateNode)
+  const visible = result.data.allMarkdownRemark.nodes.filter((node) => !node.fields.hidden)
+  locales.forEach(({ code: locale }) => {
+    const nodes = visible.filter((node) => node.fields.locales.includes(locale))
+    Object.entries(collections).forEach(([name, collection]) => {
+      const entries = nodes.filter((node) => node.fields.collection === name).sort(collection.sort)
+      const link = (node) => node && { path: localizePath(node.fields.path, locale), title: node.frontmatter.title }
+
+      entries.forEach((node, i) => {
+        actions.createPage({
+          path: localizePath(node.fields.path, locale),
+          component: collection.template,
+          context: {
+            id: node.id,
+            locale,
+            previous: link(entries[i - 1]),
+            next: link(entries[i + 1]),
+            ...collection.context?.(node),
+          },
+        })
+      })
+    })
+
+    createBlogIndexes(nodes.filter((node) => node.fields.collection === "blog"), locale, actions)
+  })
+}
+
+// /insights, /insights/2, ... and one archive per tag at /insights/tags/<tag>, per locale
+function createBlogIndexes(posts, locale, { createPage }) {
+  const { basePath } = collections.blog
+  const numPages = Math.max(1, Math.ceil(posts.length / POSTS_PER_PAGE))
+  for (let i = 0; i < numPages; i++) {
+    createPage({
+      path: localizePath(i === 0 ? basePath : `${basePath}/${i + 1}`, locale),
+      component: path.resolve("./src/templates/blog-list.js"),
+      context: {
+        locale,
+        limit: POSTS_PER_PAGE,
+        skip: i * POSTS_PER_PAGE,
+        currentPage: i + 1,
+        numPages,
+      },
+    })
+  }
+
+  const tags = new Map()
+  posts.forEach((post) => post.fields.tags.forEach((tag) => tags.set(tag.slug, tag.name)))
+  tags.forEach((name, slug) => {
+    createPage({
+      path: localizePath(`${basePath}/tags/${slug}`, locale),
+      component: path.resolve("./src/templates/blog-tag.js"),
+      context: { locale, tag: slug, name },
+    })
+  })
+}
+
+// Pages from src/pages, once per locale. Pages made in createPages already have a
+// locale. Unknown paths under a locale's prefix get that locale's 404 in the browser.
+exports.onCreatePage = ({ page, actions }) => {
+  if (page.context.locale || page.path.startsWith("/dev-404-page")) return
+
+  actions.deletePage(page)
+  // Gatsby's /404.html copy of the 404 page is only served for the default locale
+  const targets = page.path === "/404.html" ? locales.filter(({ code }) => code === defaultLocale) : locales
+  targets.forEach(({ code: locale }) => {
+    const notFound = locale !== defaultLocale && page.path.startsWith("/404")
+    actions.createPage({
+      ...page,
+      path: localizePath(page.path, locale),
+      matchPath: notFound ? `/${locale}/*` : page.matchPath,
+      context: { ...page.context, locale },
+    })
+  })
+}
+
+exports.onPostBuild = async ({ graphql, reporter }) => {
+  const result = await graphql(`
+    query {
+      site {
+        siteMetadata {
+          title
+          description
+          siteUrl
+        }
+      }
+      posts: allMarkdownRemark(
+        filter: { fields: { collection: { eq: "blog" }, hidden: { eq: false } } }
+        sort: { frontmatter: { date: DESC } }
+      ) {
+        nodes {
+          html
+          excerpt
+          fields {
+            path
+            locales
+          }
+          frontmatter {
+            title
+            date
+            author
+            summary
+          }
+        }
+      }
+      pages: allSitePage {
+        nodes {
+          path
+        }
+      }
+    }
+  `)
+  if (result.errors) {
+    reporter.panicOnBuild("Error loading posts for the feeds", result.errors)
+    return
+  }
+
+  // One pair of feeds per locale, with the posts its list pages show (an untranslated
+  // post in the default locale's words, as on the site)
+  locales.forEach(({ code, hreflang, feedTitle, siteMetadata }) => {
+    const basePath = localizePath(collections.blog.basePath, code)
+    writeFeeds({
+      site: { ...result.data.site.siteMetadata, ...siteMetadata },
+      title: feedTitle,
+      language: hreflang,
+      posts: result.data.posts.nodes
+        .filter((post) => post.fields.locales.includes(code))
+        .slice(0, 50)
+        .map((post) => ({ ...post, fields: { ...post.fields, path: localizePath(post.fields.path, code) } })),
+      dir: path.join(__dirname, "public", basePath),
+      basePath,
+    })
+  })
+
+  await writeOgImages({
+    publicDir: path.join(__dirname, "public"),
+    paths: result.data.pages.nodes.map((page) => page.path),
+    reporter,
+  })
+}
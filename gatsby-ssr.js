@@ -0,0 +1,56 @@
+import React from "react"
+import { homeBackground } from "./src/config/background"
+import { MotionPreferenceProvider } from "./src/hooks/use-motion-preference"
+import { ConsentProvider } from "./src/hooks/use-consent"
+import { LocaleProvider } from "./src/hooks/use-locale"
+import { ThemeProvider } from "./src/hooks/use-theme"
+import Layout from "./src/components/Layout"
+import { consentDefaultsScript } from "./src/lib/analytics/gtag"
+import { POSTER_ID, renderPosterSvg } from "./src/lib/diamond/poster"
+import { themeInitScript } from "./src/lib/theme/preference"
+
+export const wrapRootElement = ({ element }) => (
+  <MotionPreferenceProvider>
+    <ThemeProvider>
+      <ConsentProvider>{element}</ConsentProvider>
+    </ThemeProvider>
+  </MotionPreferenceProvider>
+)
+
+// Locale from the page's context (gatsby-node.js gives every page one)
+export const wrapPageElement = ({ element, props }) => (
+  <LocaleProvider locale={props.pageContext.locale}>
+    <Layout {...props}>{element}</Layout>
+  </LocaleProvider>
+)
+
+// Consent Mode defaults go first in <head>, before anything could read them, and the
+// theme is set before first paint.
+// The background poster is a static frame of the background in the HTML; DiamondBackground
+// (in Layout, so on every page) cross-fades its canvas over it once the first live frame
+// is drawn (see POSTER_ID there)
+export const onRenderBody = ({ setHeadComponents, setPreBodyComponents }) => {
+  setHeadComponents([
+    <script key="consent-defaults" dangerouslySetInnerHTML={{ __html: consentDefaultsScript() }} />,
+    <script key="theme-init" dangerouslySetInnerHTML={{ __html: themeInitScript() }} />,
+  ])
+
+  setPreBodyComponents([
+    <div
+      key={POSTER_ID}
+      id={POSTER_ID}
+      aria-hidden="true"
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        width: "100vw",
+        height: "100vh",
+        zIndex: 0,
+        pointerEvents: "none",
+      }}
+      // Drawn in the custom property, so it matches whichever theme the head script set
+      dangerouslySetInnerHTML={{ __html: renderPosterSvg({ ...homeBackground, diamondColor: "var(--color-diamond)" }) }}
+    />,
+  ])
+}
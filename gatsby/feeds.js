@@ -0,0 +1,91 @@
+const fs = require("fs")
+const path = require("path")
+
+// RSS 2.0 and Atom feeds for the blog, one pair per locale, written next to that
+// locale's list pages on build:
+//   public/insights/rss.xml and public/insights/atom.xml, public/ko/insights/rss.xml, ...
+
+const escape = (text = "") =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+const cdata = (html = "") => `<![CDATA[${html.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`
+
+function rss({ site, title, language, posts, feedUrl, homeUrl }) {
+  const items = posts.map((post) => {
+    const url = `${site.siteUrl}${post.fields.path}`
+    return [
+      `<item>`,
+      `<title>${escape(post.frontmatter.title)}</title>`,
+      `<link>${url}</link>`,
+      `<guid isPermaLink="true">${url}</guid>`,
+      `<pubDate>${new Date(post.frontmatter.date).toUTCString()}</pubDate>`,
+      post.frontmatter.author ? `<dc:creator>${escape(post.frontmatter.author)}</dc:creator>` : "",
+      `<description>${escape(post.frontmatter.summary || post.excerpt)}</description>`,
+      `<content:encoded>${cdata(post.html)}</content:encoded>`,
+      `</item>`,
+    ].join("")
+  })
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">`,
+    `<channel>`,
+    `<title>${escape(title)}</title>`,
+    `<link>${homeUrl}</link>`,
+    `<description>${escape(site.description)}</description>`,
+    `<language>${language}</language>`,
+    `<atom:link href="${feedUrl}" rel="self" type="application/rss+xml"/>`,
+    posts.length ? `<lastBuildDate>${new Date(posts[0].frontmatter.date).toUTCString()}</lastBuildDate>` : "",
+    ...items,
+    `</channel>`,
+    `</rss>`,
+  ].join("\n")
+}
+
+function atom({ site, title, language, posts, feedUrl, homeUrl }) {
+  const entries = posts.map((post) => {
+    const url = `${site.siteUrl}${post.fields.path}`
+    const date = new Date(post.frontmatter.date).toISOString()
+    return [
+      `<entry>`,
+      `<title>${escape(post.frontmatter.title)}</title>`,
+      `<link href="${url}"/>`,
+      `<id>${url}</id>`,
+      `<published>${date}</published>`,
+      `<updated>${date}</updated>`,
+      post.frontmatter.author ? `<author><name>${escape(post.frontmatter.author)}</name></author>` : "",
+      `<summary>${escape(post.frontmatter.summary || post.excerpt)}</summary>`,
+      `<content type="html">${escape(post.html)}</content>`,
+      `</entry>`,
+    ].join("")
+  })
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${language}">`,
+    `<title>${escape(title)}</title>`,
+    `<subtitle>${escape(site.description)}</subtitle>`,
+    `<link href="${homeUrl}"/>`,
+    `<link href="${feedUrl}" rel="self"/>`,
+    `<id>${homeUrl}</id>`,
+    // Atom requires a feed-level author unless every entry has one
+    `<author><name>${escape(site.title)}</name></author>`,
+    `<updated>${posts.length ? new Date(posts[0].frontmatter.date).toISOString() : new Date().toISOString()}</updated>`,
+    ...entries,
+    `</feed>`,
+  ].join("\n")
+}
+
+// `site` is the locale's metadata, `basePath` its list page and each post's
+// `fields.path` the locale's copy
+exports.writeFeeds = ({ site, title, language, posts, dir, basePath }) => {
+  const homeUrl = `${site.siteUrl}${basePath}`
+  const feed = { site, title, language, posts, homeUrl }
+  fs.mkdirSync(dir, { recursive: true })
+  fs.writeFileSync(path.join(dir, "rss.xml"), rss({ ...feed, feedUrl: `${homeUrl}/rss.xml` }))
+  fs.writeFileSync(path.join(dir, "atom.xml"), atom({ ...feed, feedUrl: `${homeUrl}/atom.xml` }))
+}
@@ -0,0 +1,67 @@
+const fs = require("fs")
+const path = require("path")
+
+// Builds the icon registry <Icon> reads (src/components/Icon.js) from src/images/*.svg,
+// before webpack starts. Each icon is normalised:
+//   - the viewBox is padded to a square around the artwork, so 14×15 and 20×17
+//     icons sit centred at the same size
+//   - fill/stroke colours become currentColor ("none" is kept), so icons take the
+//     text colour
+//   - the root <svg> is dropped; Icon supplies its own
+// Logos and artwork (anything with <style>, <text> or <image>, or over MAX_BYTES) are
+// skipped; import those as files instead.
+
+const MAX_BYTES = 8 * 1024
+const SKIP = /<(style|text|image)\b/
+
+function viewBox(attrs) {
+  const box = attrs.match(/viewBox="([^"]+)"/)
+  if (box) return box[1].trim().split(/[\s,]+/).map(Number)
+  const width = attrs.match(/width="([\d.]+)/)
+  const height = attrs.match(/height="([\d.]+)/)
+  return width && height ? [0, 0, Number(width[1]), Number(height[1])] : null
+}
+
+// Round to 3 dp without trailing zeros
+const num = (n) => String(Math.round(n * 1000) / 1000)
+
+function squareBox([x, y, width, height]) {
+  const size = Math.max(width, height)
+  return [x - (size - width) / 2, y - (size - height) / 2, size, size].map(num).join(" ")
+}
+
+// { viewBox, body } for an icon file, or null with the reason it was skipped
+function parseIcon(source) {
+  if (Buffer.byteLength(source) > MAX_BYTES) return { skipped: "too large" }
+  if (SKIP.test(source)) return { skipped: "has <style>, <text> or <image>" }
+
+  const svg = source.match(/<svg\b([^>]*)>([\s\S]*)<\/svg>/)
+  const box = svg && viewBox(svg[1])
+  if (!box || box.some(Number.isNaN)) return { skipped: "no viewBox or size" }
+
+  const body = svg[2]
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/\s(fill|stroke)="(?!none")[^"]*"/g, ' $1="currentColor"')
+    .replace(/>\s+</g, "><")
+    .trim()
+  return { viewBox: squareBox(box), body }
+}
+
+exports.writeIconRegistry = ({ dir, file, reporter }) => {
+  const icons = {}
+  for (const name of fs.readdirSync(dir).filter((f) => f.endsWith(".svg")).sort()) {
+    const icon = parseIcon(fs.readFileSync(path.join(dir, name), "utf8"))
+    const key = path.basename(name, ".svg")
+    if (icon.skipped) {
+      reporter.verbose(`[icons] skipped ${name}: ${icon.skipped}`)
+      continue
+    }
+    icons[key] = icon
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const json = JSON.stringify(icons, null, 2) + "\n"
+  // Rewriting an unchanged file would trigger a pointless rebuild in develop
+  if (!fs.existsSync(file) || fs.readFileSync(file, "utf8") !== json) fs.writeFileSync(file, json)
+  reporter.info(`[icons] ${Object.keys(icons).length} icons: ${Object.keys(icons).join(", ")}`)
+}
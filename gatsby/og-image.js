@@ -0,0 +1,116 @@
+const fs = require("fs")
+const path = require("path")
+const sharp = require("sharp")
+const { ogImagePath } = require("../src/lib/seo/og-image-path")
+const { palette } = require("../src/config/tokens")
+const { latticePattern } = require("../src/lib/diamond/geometry")
+
+// 1200×630 share images for every built page: the diamond lattice with an accent sweep,
+// the 38 mark and the page's <title>. Runs in onPostBuild, reading titles back out of
+// the rendered HTML so pages don't have to declare them twice.
+
+const WIDTH = 1200
+const HEIGHT = 630
+const PADDING = 80
+const ACCENT = palette.orange
+
+// Same lattice as the home page background (src/config/background.js), scaled up 1.5×
+// so it reads at thumbnail size, and centred the same way
+const LATTICE = { diamondSize: 30, gap: 36, angle: 135, center: [WIDTH / 2, HEIGHT / 2] }
+
+const MARK = path.resolve("src/images/38.svg")
+const MARK_WIDTH = 180
+const TITLE_SIZE = 60
+const TITLE_CHARS_PER_LINE = 24
+const TITLE_MAX_LINES = 3
+const SITE_SUFFIX = / - 38 South$/
+
+const escape = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+
+const unescape = (text) =>
+  text
+    .replace(/&quot;/g, "\"")
+    .replace(/&#x27;|&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+
+// Greedy word wrap, with an ellipsis when it runs past the last line
+function wrap(text, perLine, maxLines) {
+  const lines = []
+  let line = ""
+  for (const word of text.split(/\s+/)) {
+    if (line && `${line} ${word}`.length > perLine) {
+      lines.push(line)
+      line = word
+    } else {
+      line = line ? `${line} ${word}` : word
+    }
+  }
+  if (line) lines.push(line)
+  if (lines.length > maxLines) {
+    lines.length = maxLines
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, perLine - 1)}…`
+  }
+  return lines
+}
+
+function background(title) {
+  const lines = wrap(title, TITLE_CHARS_PER_LINE, TITLE_MAX_LINES)
+  const lineHeight = TITLE_SIZE * 1.15
+  const top = HEIGHT - PADDING - lineHeight * (lines.length - 1)
+  const text = lines
+    .map((line, i) => `<tspan x="${PADDING}" y="${top + i * lineHeight}">${escape(line)}</tspan>`)
+    .join("")
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}">
+    <defs>
+      ${latticePattern("base", { ...LATTICE, fill: "#161616" })}
+      ${latticePattern("accent", { ...LATTICE, fill: ACCENT })}
+      <linearGradient id="sweep" x1="0" y1="0" x2="1" y2="1">
+        <stop offset="0.4" stop-color="#fff" stop-opacity="0"/>
+        <stop offset="1" stop-color="#fff" stop-opacity="1"/>
+      </linearGradient>
+      <mask id="sweep-mask"><rect width="100%" height="100%" fill="url(#sweep)"/></mask>
+      <linearGradient id="shade" x1="0" y1="0" x2="1" y2="0">
+        <stop offset="0.3" stop-color="#000" stop-opacity="0.85"/>
+        <stop offset="0.8" stop-color="#000" stop-opacity="0"/>
+      </linearGradient>
+    </defs>
+    <rect width="100%" height="100%" fill="#000"/>
+    <rect width="100%" height="100%" fill="url(#base)"/>
+    <rect width="100%" height="100%" fill="url(#accent)" mask="url(#sweep-mask)"/>
+    <rect width="100%" height="100%" fill="url(#shade)"/>
+    <text font-family="Raleway, 'Noto Sans', sans-serif" font-size="${TITLE_SIZE}" font-weight="700" fill="#fff">${text}</text>
+  </svg>`
+}
+
+// Built HTML for a page path ("/about/" or "/404.html"), or null if it wasn't written
+function readHtml(publicDir, pagePath) {
+  const file = path.join(publicDir, pagePath, pagePath.endsWith(".html") ? "" : "index.html")
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null
+}
+
+exports.writeOgImages = async ({ publicDir, paths, reporter }) => {
+  const mark = await sharp(MARK).resize({ width: MARK_WIDTH }).png().toBuffer()
+  let written = 0
+
+  // One at a time: sharp already uses every core per image
+  for (const pagePath of paths) {
+    const html = readHtml(publicDir, pagePath)
+    const match = html && html.match(/<title[^>]*>([^<]*)<\/title>/)
+    if (!match) continue
+
+    const title = unescape(match[1]).replace(SITE_SUFFIX, "")
+    const out = path.join(publicDir, ogImagePath(pagePath))
+    fs.mkdirSync(path.dirname(out), { recursive: true })
+    await sharp(Buffer.from(background(title)))
+      .composite([{ input: mark, top: PADDING, left: PADDING }])
+      .png()
+      .toFile(out)
+    written++
+  }
+
+  reporter.info(`Wrote ${written} share images`)
+}
@@ -0,0 +1,61 @@
+const fs = require("fs")
+const tokens = require("../src/config/tokens")
+
+// Turns src/config/tokens.js into SCSS and a Tailwind theme extension
+
+const kebab = (key) => key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)
+
+// Custom property name => value, for one theme or the theme-independent tokens
+const themeProperties = (theme) =>
+  Object.entries(tokens.themes[theme]).map(([key, value]) => [`--color-${kebab(key)}`, value])
+
+const staticProperties = () => [
+  ...Object.entries(tokens.spacing).map(([key, value]) => [`--space-${key}`, value]),
+  ...Object.entries(tokens.radius).map(([key, value]) => [`--radius-${key}`, value]),
+  ...Object.entries(tokens.font.family).map(([key, value]) => [`--font-${key}`, value]),
+  ...Object.entries(tokens.font.size).map(([key, value]) => [`--font-size-${key}`, value]),
+  ...Object.entries(tokens.motion).map(([key, value]) => [`--motion-${key}`, `${value}ms`]),
+]
+
+const declarations = (properties) => properties.map(([name, value]) => `  ${name}: ${value};`).join("\n")
+
+function scss() {
+  const variables = [
+    ...Object.entries(tokens.palette).map(([key, value]) => [`color-${key}`, value]),
+    ...staticProperties().map(([name, value]) => [name.slice(2), value]),
+  ]
+  return [
+    "// Generated from src/config/tokens.js by gatsby/tokens.js; edit those instead",
+    "",
+    ...variables.map(([name, value]) => `$${name}: ${value};`),
+    "",
+    "@mixin static-properties {",
+    declarations(staticProperties()),
+    "}",
+    ...Object.keys(tokens.themes).flatMap((theme) => ["", `@mixin theme-${theme} {`, declarations(themeProperties(theme)), "}"]),
+    "",
+  ].join("\n")
+}
+
+// Writes the SCSS partial; called from onPreBootstrap, before webpack compiles any styles
+exports.writeTokenStyles = ({ file, reporter }) => {
+  const contents = scss()
+  // Rewriting an unchanged file would trigger a pointless rebuild in develop
+  if (fs.existsSync(file) && fs.readFileSync(file, "utf8") === contents) return
+  fs.writeFileSync(file, contents)
+  reporter.info(`[tokens] wrote ${file}`)
+}
+
+// For tailwind.config.js: palette colours as-is, themed colours via their custom
+// properties (e.g. `bg-background text-text border-accent`)
+exports.tailwindTheme = () => ({
+  colors: {
+    ...tokens.palette,
+    ...Object.fromEntries(Object.keys(tokens.themes[tokens.defaultTheme]).map((key) => [kebab(key), `var(--color-${kebab(key)})`])),
+  },
+  spacing: tokens.spacing,
+  borderRadius: tokens.radius,
+  fontFamily: Object.fromEntries(Object.entries(tokens.font.family).map(([key, value]) => [key, value.split(/,\s*/)])),
+  fontSize: tokens.font.size,
+  transitionDuration: Object.fromEntries(Object.entries(tokens.motion).map(([key, value]) => [key, `${value}ms`])),
+})
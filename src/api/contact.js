@@ -0,0 +1,68 @@
+import { defaultLocale, locales } from "../config/locales";
+import { createRateLimiter } from "../lib/contact/rate-limit";
+import { HONEYPOT_FIELD, MIN_FILL_MS, validateContact } from "../lib/contact/schema";
+import { issueToken, tokenAge } from "../lib/contact/token";
+import { createTransport } from "../lib/contact/transports";
+import { clientIp } from "../lib/http/client-ip";
+import { translator } from "../lib/i18n/translate";
+
+// GET /api/contact hands out { token }, a signed timestamp the form sends back with
+// its fields (see src/lib/contact/token.js).
+//
+// POST /api/contact with the ContactForm fields, that token and the page's `locale` as
+// JSON. Error messages are worded in that locale.
+//   200 { ok: true }            delivered (also returned for suspected spam, so bots
+//                               can't tell they were caught)
+//   400 { ok: false, errors }   validation failed, errors by field
+//   400 { ok: false, error }    the token is missing, invalid or expired
+//   405                         not a GET or POST
+//   429 { ok: false, error }    too many submissions from this IP (see Retry-After)
+//   502 { ok: false, error }    the transport failed
+
+const limiter = createRateLimiter({ limit: 5, windowMs: 10 * 60 * 1000 });
+let transport = null; // created on first use, so a bad config only fails submissions
+
+export default async function handler(req, res) {
+    if (req.method === "GET") {
+        res.setHeader("Cache-Control", "no-store");
+        return res.status(200).json({ token: issueToken() });
+    }
+    if (req.method !== "POST") {
+        res.setHeader("Allow", "GET, POST");
+        return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+
+    const body = req.body || {};
+    const t = translator(locales.some(({ code }) => code === body.locale) ? body.locale : defaultLocale);
+
+    const ip = clientIp(req);
+    const { allowed, retryAfterMs } = limiter.check(ip);
+    if (!allowed) {
+        res.setHeader("Retry-After", Math.ceil(retryAfterMs / 1000));
+        return res.status(429).json({ ok: false, error: t("contact.error.rateLimited") });
+    }
+
+    const age = tokenAge(body.token);
+    if (age === null) {
+        return res.status(400).json({ ok: false, error: t("contact.error.expired") });
+    }
+    if (body[HONEYPOT_FIELD] || age < MIN_FILL_MS) {
+        console.warn(`[contact] dropped likely spam from ${ip}`);
+        return res.status(200).json({ ok: true });
+    }
+
+    const { values, errors } = validateContact(body, t);
+    if (Object.keys(errors).length) {
+        return res.status(400).json({ ok: false, errors });
+    }
+
+    try {
+        if (!transport) transport = createTransport();
+        await transport.send({ ...values, receivedAt: new Date().toISOString(), ip });
+    } catch (err) {
+        console.error("[contact] delivery failed", err);
+        return res.status(502).json({ ok: false, error: t("contact.error.delivery") });
+    }
+
+    return res.status(200).json({ ok: true });
+}
@@ -0,0 +1,47 @@
+import { createRateLimiter } from "../lib/contact/rate-limit";
+import { clientIp } from "../lib/http/client-ip";
+import { renderDashboard, summarize } from "../lib/rum/dashboard";
+import { cleanBatch } from "../lib/rum/schema";
+import { appendEvents, readEvents } from "../lib/rum/store";
+
+// Real-user monitoring, fed by lib/rum/collect.js.
+//   POST /api/rum               { session, events } as JSON (sendBeacon); 204
+//   GET  /api/rum               percentile dashboard (not in production)
+//   GET  /api/rum?format=json   the same summary as JSON (not in production)
+
+const limiter = createRateLimiter({ limit: 60, windowMs: 60 * 1000 });
+const dashboardEnabled = process.env.NODE_ENV !== "production";
+
+// sendBeacon bodies can arrive as text, depending on the browser and the Blob type
+function parseBody(body) {
+    if (typeof body !== "string") return body;
+    try {
+        return JSON.parse(body);
+    } catch {
+        return null;
+    }
+}
+
+export default async function handler(req, res) {
+    if (req.method === "GET" && dashboardEnabled) {
+        const summary = summarize(await readEvents());
+        if (req.query.format === "json") return res.json(summary);
+        res.setHeader("Content-Type", "text/html; charset=utf-8");
+        return res.send(renderDashboard(summary));
+    }
+
+    if (req.method !== "POST") {
+        res.setHeader("Allow", "POST");
+        return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+
+    // Beacons are fire-and-forget, so over the limit they're just dropped
+    if (!limiter.check(clientIp(req)).allowed) return res.status(204).end();
+
+    try {
+        await appendEvents(cleanBatch(parseBody(req.body), req.headers["user-agent"]));
+    } catch (err) {
+        console.error("[rum] couldn't store events", err);
+    }
+    return res.status(204).end();
+}
@@ -1,43 +1,193 @@
-import React, { useState } from 'react';
-import IconStrategy from './IconStrategy';
-import IconDesign from './IconDesign';
-import IconCode from './IconCode';
-import IconOptimization from './IconOptimization';
+import React, { useEffect, useId, useLayoutEffect, useRef, useState } from 'react';
+import { motion } from '../config/tokens';
+import { useMotionPreference } from '../hooks/use-motion-preference';
+import Icon from './Icon';
 import './accordion.scss'; // Import the styles for the component
 
-const AccordionItem = ({ icon: Icon, title, children }) => {
-  const [isOpen, setIsOpen] = useState(false);
+const PANEL_MS = motion.fast;
 
-  const toggleOpen = () => {
-    setIsOpen(!isOpen);
-  };
+// useLayoutEffect warns during SSR; the panels only need it in the browser
+const useBrowserLayoutEffect = typeof window === 'undefined' ? useEffect : useLayoutEffect;
+
+// Animates between 0 and the content's height, then lets it go back to auto
+const AccordionPanel = ({ id, labelledBy, isOpen, children }) => {
+  const ref = useRef(null);
+  const { prefersReducedMotion } = useMotionPreference();
+  const [hidden, setHidden] = useState(!isOpen);
+  const first = useRef(true);
+
+  useBrowserLayoutEffect(() => {
+    const panel = ref.current;
+    if (first.current) {
+      first.current = false;
+      return;
+    }
+    if (prefersReducedMotion) {
+      panel.style.height = '';
+      setHidden(!isOpen);
+      return;
+    }
+
+    let timer;
+    if (isOpen) {
+      setHidden(false);
+      panel.style.height = '0px';
+      // Next frame, so the panel is unhidden and measurable before it grows
+      const frame = requestAnimationFrame(() => {
+        panel.style.height = `${panel.scrollHeight}px`;
+        timer = setTimeout(() => { panel.style.height = ''; }, PANEL_MS);
+      });
+      return () => {
+        cancelAnimationFrame(frame);
+        clearTimeout(timer);
+      };
+    }
+
+    panel.style.height = `${panel.scrollHeight}px`;
+    panel.getBoundingClientRect(); // commit the start height before shrinking
+    panel.style.height = '0px';
+    timer = setTimeout(() => {
+      setHidden(true);
+      panel.style.height = '';
+    }, PANEL_MS);
+    return () => clearTimeout(timer);
+  }, [isOpen, prefersReducedMotion]);
+
+  return (
+    <div
+      ref={ref}
+      id={id}
+      role="region"
+      aria-labelledby={labelledBy}
+      className="accordion-content"
+      hidden={hidden}
+      style={{ transition: prefersReducedMotion ? 'none' : `height ${PANEL_MS}ms ease` }}
+    >
+      {children}
+    </div>
+  );
+};
+
+const AccordionItem = ({ item, baseId, isOpen, onToggle, onKeyDown, headingLevel }) => {
+  const { id, icon, title, content } = item;
+  const Heading = `h${headingLevel}`;
+  const headerId = `${baseId}-${id}-header`;
+  const panelId = `${baseId}-${id}-panel`;
 
   return (
-    <div className="accordion-item">
-      <div className="accordion-header" onClick={toggleOpen}>
-        <Icon className="accordion-icon" />
-        <h3 className="accordion-title">{title}</h3>
-      </div>
-      {isOpen && <div className="accordion-content">{children}</div>}
+    <div className="accordion-item" id={id}>
+      <Heading className="accordion-heading">
+        <button
+          type="button"
+          id={headerId}
+          className="accordion-header"
+          aria-expanded={isOpen}
+          aria-controls={panelId}
+          onClick={() => onToggle(id)}
+          onKeyDown={onKeyDown}
+        >
+          {icon && <Icon name={icon} size={32} className="accordion-icon" />}
+          <span className="accordion-title">{title}</span>
+        </button>
+      </Heading>
+      <AccordionPanel id={panelId} labelledBy={headerId} isOpen={isOpen}>
+        {typeof content === 'string' ? <p>{content}</p> : content}
+      </AccordionPanel>
     </div>
   );
 };
 
-const Accordion = () => {
+/**
+ * WAI-ARIA accordion.
+ * - `items`: [{ id, title, icon?, content }]; `icon` is an <Icon> name, `content` a string
+ *   or any node.
+ * - Uncontrolled with `defaultOpen` (ids), or controlled with `open` + `onChange(ids)`.
+ * - `allowMultiple` lets more than one panel stay open.
+ * - `#<id>` in the URL opens that item on load, and opening an item writes its hash
+ *   (turn off with `linkHash={false}`).
+ * - Up/Down arrows, Home and End move between headers.
+ */
+const Accordion = ({
+  items,
+  open,
+  defaultOpen = [],
+  onChange,
+  allowMultiple = false,
+  linkHash = true,
+  headingLevel = 3,
+}) => {
+  const baseId = useId().replace(/:/g, '');
+  const [uncontrolled, setUncontrolled] = useState(defaultOpen);
+  const openIds = open ?? uncontrolled;
+  const listRef = useRef(null);
+
+  const setOpen = (next) => {
+    if (open === undefined) setUncontrolled(next);
+    onChange?.(next);
+  };
+  // The hash listener outlives renders, so it reads these through a ref
+  const latest = useRef();
+  latest.current = { items, openIds, allowMultiple, setOpen };
+
+  const toggle = (id) => {
+    const isOpen = openIds.includes(id);
+    const next = isOpen
+      ? openIds.filter((openId) => openId !== id)
+      : allowMultiple ? [...openIds, id] : [id];
+    setOpen(next);
+
+    if (linkHash && !isOpen) {
+      window.history.replaceState(null, '', `#${id}`);
+    }
+  };
+
+  // Deep link: open the item named in the hash (on load and on back/forward)
+  useEffect(() => {
+    if (!linkHash) return;
+    const openFromHash = () => {
+      const { items, openIds, allowMultiple, setOpen } = latest.current;
+      let id;
+      try {
+        id = decodeURIComponent(window.location.hash.slice(1));
+      } catch {
+        // Malformed escapes can't name an item
+        return;
+      }
+      if (!items.some((item) => item.id === id) || openIds.includes(id)) return;
+      setOpen(allowMultiple ? [...openIds, id] : [id]);
+    };
+    openFromHash();
+    window.addEventListener('hashchange', openFromHash);
+    return () => window.removeEventListener('hashchange', openFromHash);
+  }, [linkHash]);
+
+  const onKeyDown = (event) => {
+    const headers = Array.from(listRef.current.querySelectorAll('.accordion-header'));
+    const index = headers.indexOf(event.currentTarget);
+    const target = {
+      ArrowDown: headers[(index + 1) % headers.length],
+      ArrowUp: headers[(index - 1 + headers.length) % headers.length],
+      Home: headers[0],
+      End: headers[headers.length - 1],
+    }[event.key];
+    if (!target) return;
+    event.preventDefault();
+    target.focus();
+  };
+
   return (
-    <div className="accordion">
-      <AccordionItem icon={IconStrategy} title="Strategy">
-        <p>Start with why and develop a high-level plan for how.</p>
-      </AccordionItem>
-      <AccordionItem icon={IconDesign} title="Design">
-        <p>Description for design services.</p>
-      </AccordionItem>
-      <AccordionItem icon={IconCode} title="Websites & web apps">
-        <p>Description for websites and web apps.</p>
-      </AccordionItem>
-      <AccordionItem icon={IconOptimization} title="Optimization">
-        <p>Description for optimization services.</p>
-      </AccordionItem>
+    <div className="accordion" ref={listRef}>
+      {items.map((item) => (
+        <AccordionItem
+          key={item.id}
+          item={item}
+          baseId={baseId}
+          isOpen={openIds.includes(item.id)}
+          onToggle={toggle}
+          onKeyDown={onKeyDown}
+          headingLevel={headingLevel}
+        />
+      ))}
     </div>
   );
 };
@@ -0,0 +1,80 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { consentCategories, deniedChoice } from '../lib/analytics/consent';
+import { useConsent } from '../hooks/use-consent';
+import { useLocale } from '../hooks/use-locale';
+import './consent-banner.scss';
+
+// Cookie banner for visitors who haven't chosen yet, and the preferences dialog it
+// (or the footer's "Cookie preferences" link) opens. Accept and reject get equal
+// weight; nothing is granted until one of them is pressed.
+const ConsentBanner = () => {
+  const { choice, ready, preferencesOpen, save, acceptAll, rejectAll, openPreferences, closePreferences } = useConsent();
+  const { t } = useLocale();
+  const [draft, setDraft] = useState(deniedChoice);
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const dialog = ref.current;
+    if (preferencesOpen && !dialog.open) {
+      setDraft(choice || deniedChoice);
+      dialog.showModal();
+    }
+    if (!preferencesOpen && dialog.open) dialog.close();
+  }, [preferencesOpen, choice]);
+
+  const onSubmit = (event) => {
+    event.preventDefault();
+    save(draft);
+  };
+
+  return (
+    <>
+      {ready && !choice && !preferencesOpen && (
+        <section className="consent-banner" aria-label={t('consent.label')}>
+          <p>{t('consent.text')}</p>
+          <div className="consent-actions">
+            <button type="button" onClick={acceptAll}>{t('consent.acceptAll')}</button>
+            <button type="button" onClick={rejectAll}>{t('consent.rejectAll')}</button>
+            <button type="button" onClick={openPreferences}>{t('consent.preferences')}</button>
+          </div>
+        </section>
+      )}
+
+      <dialog ref={ref} className="consent-dialog" aria-labelledby="consent-title" onClose={closePreferences}>
+        <form onSubmit={onSubmit}>
+          <h2 id="consent-title">{t('consent.title')}</h2>
+
+          <label className="consent-category">
+            <input type="checkbox" checked disabled />
+            <span>
+              <strong>{t('consent.necessary.label')}</strong>
+              {t('consent.necessary.description')}
+            </span>
+          </label>
+          {Object.keys(consentCategories).map((name) => (
+            <label className="consent-category" key={name}>
+              <input
+                type="checkbox"
+                name={name}
+                checked={draft[name]}
+                onChange={(event) => setDraft((current) => ({ ...current, [name]: event.target.checked }))}
+              />
+              <span>
+                <strong>{t(`consent.${name}.label`)}</strong>
+                {t(`consent.${name}.description`)}
+              </span>
+            </label>
+          ))}
+
+          <div className="consent-actions">
+            <button type="submit">{t('consent.save')}</button>
+            <button type="button" onClick={acceptAll}>{t('consent.acceptAll')}</button>
+            <button type="button" onClick={rejectAll}>{t('consent.rejectAll')}</button>
+          </div>
+        </form>
+      </dialog>
+    </>
+  );
+};
+
+export default ConsentBanner;
@@ -0,0 +1,149 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useLocale } from '../hooks/use-locale';
+import { contactFields, HONEYPOT_FIELD, validateContact } from '../lib/contact/schema';
+import './contact-form.scss';
+
+const empty = { name: '', email: '', company: '', message: '' };
+
+// Without a token the submission fails with the function's own error, so a failed
+// fetch needn't be reported here
+const fetchToken = () =>
+  fetch('/api/contact')
+    .then((res) => res.json())
+    .then((data) => data.token)
+    .catch(() => null);
+
+// Enquiry form posting to src/api/contact.js. Fields are checked with the same schema
+// the function uses, so most mistakes are caught before a round trip; both word the
+// errors in the page's locale, which is sent along for the function's messages. The
+// token is the function's signed note of when the form was handed out, used to spot
+// bots that submit faster than anyone could type.
+const ContactForm = () => {
+  const { locale, t } = useLocale();
+  const [values, setValues] = useState(empty);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState('idle'); // idle | sending | sent | failed
+  const [failure, setFailure] = useState('');
+  const token = useRef(null);
+  const formRef = useRef(null);
+
+  const refreshToken = () =>
+    fetchToken().then((value) => {
+      token.current = value;
+    });
+
+  useEffect(() => {
+    refreshToken();
+  }, []);
+
+  const onChange = (event) => {
+    const { name, value } = event.target;
+    setValues((current) => ({ ...current, [name]: value }));
+    if (errors[name]) setErrors((current) => ({ ...current, [name]: undefined }));
+  };
+
+  const focusFirstError = (fieldErrors) => {
+    const first = Object.keys(contactFields).find((name) => fieldErrors[name]);
+    if (first) formRef.current.elements[first].focus();
+  };
+
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    const { errors: fieldErrors } = validateContact(values, t);
+    if (Object.keys(fieldErrors).length) {
+      setErrors(fieldErrors);
+      focusFirstError(fieldErrors);
+      return;
+    }
+
+    setStatus('sending');
+    try {
+      const res = await fetch('/api/contact', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...values,
+          [HONEYPOT_FIELD]: formRef.current.elements[HONEYPOT_FIELD].value,
+          token: token.current,
+          locale,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.ok && data.ok) {
+        setStatus('sent');
+        setValues(empty);
+        return;
+      }
+      if (data.errors) {
+        setErrors(data.errors);
+        focusFirstError(data.errors);
+        setStatus('idle');
+        return;
+      }
+      setFailure(data.error || t('contact.failed'));
+      setStatus('failed');
+      refreshToken(); // in case that was the token expiring
+    } catch {
+      setFailure(t('contact.offline'));
+      setStatus('failed');
+      refreshToken();
+    }
+  };
+
+  if (status === 'sent') {
+    return (
+      <div className="contact-form contact-form-sent" role="status">
+        <h2>{t('contact.sent.title')}</h2>
+        <p>{t('contact.sent.text')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <form className="contact-form" ref={formRef} onSubmit={onSubmit} noValidate>
+      <h2>{t('contact.title')}</h2>
+
+      {Object.entries(contactFields).map(([name, field]) => {
+        const Input = name === 'message' ? 'textarea' : 'input';
+        const errorId = `contact-${name}-error`;
+        return (
+          <div className="contact-field" key={name}>
+            <label htmlFor={`contact-${name}`}>
+              {t(field.label)}{!field.required && <span className="contact-optional"> {t('contact.optional')}</span>}
+            </label>
+            <Input
+              id={`contact-${name}`}
+              name={name}
+              type={name === 'email' ? 'email' : undefined}
+              autoComplete={{ name: 'name', email: 'email', company: 'organization' }[name]}
+              rows={name === 'message' ? 5 : undefined}
+              value={values[name]}
+              onChange={onChange}
+              required={field.required}
+              maxLength={field.maxLength}
+              aria-invalid={!!errors[name]}
+              aria-describedby={errors[name] ? errorId : undefined}
+            />
+            {errors[name] && <p className="contact-error" id={errorId}>{errors[name]}</p>}
+          </div>
+        );
+      })}
+
+      {/* Honeypot: off-screen and skipped by keyboard and screen readers */}
+      <div className="contact-honeypot" aria-hidden="true">
+        <label htmlFor={`contact-${HONEYPOT_FIELD}`}>Website</label>
+        <input id={`contact-${HONEYPOT_FIELD}`} name={HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" defaultValue="" />
+      </div>
+
+      <div role="alert" className="contact-failure">
+        {status === 'failed' && failure}
+      </div>
+
+      <button type="submit" disabled={status === 'sending'}>
+        {t(status === 'sending' ? 'contact.sending' : 'contact.send')}
+      </button>
+    </form>
+  );
+};
+
+export default ContactForm;
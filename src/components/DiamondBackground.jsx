@@ -1,15 +1,123 @@
-import React, { useEffect, useRef } from "react";
+import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef, useState } from "react";
+import { defaultTheme, motion, themes } from "../config/tokens";
+import { useMotionPreference } from "../hooks/use-motion-preference";
+import { createDiamondEngine } from "../lib/diamond/engine";
+import { POSTER_ID } from "../lib/diamond/poster";
+import { isSvgUrl, loadSvgShape } from "../lib/diamond/shapes";
+
+// Cross-fade from the build-time poster to the live canvas
+const REVEAL_MS = motion.base;
+
+const canvasStyle = {
+    display: "block",
+    width: "100%",
+    height: "100%",
+    pointerEvents: "none",
+    userSelect: "none",
+    touchAction: "none",
+    willChange: "transform"
+};
+
+const statsStyle = {
+    position: "fixed",
+    top: 8,
+    left: 8,
+    zIndex: 1,
+    padding: "4px 8px",
+    background: "rgba(0, 0, 0, 0.7)",
+    color: "#0f0",
+    font: "11px/1.4 monospace",
+    pointerEvents: "none",
+    whiteSpace: "pre"
+};
+
+// Below this charge (and not charging), the battery counts as low
+const LOW_BATTERY = 0.2;
+
+// Save-Data or a low battery, where the browser exposes them
+function useLowPower() {
+    const [saveData, setSaveData] = useState(false);
+    const [lowBattery, setLowBattery] = useState(false);
 
-function usePrefersReducedMotion() {
-    const [prefers, setPrefers] = React.useState(false);
     useEffect(() => {
-        const mq = window.matchMedia("(prefers-reduced-motion: reduce)");
-        const onChange = () => setPrefers(!!mq.matches);
+        const connection = navigator.connection;
+        if (!connection) return;
+        const onChange = () => setSaveData(!!connection.saveData);
         onChange();
-        mq.addEventListener?.("change", onChange);
-        return () => mq.removeEventListener?.("change", onChange);
+        connection.addEventListener?.("change", onChange);
+        return () => connection.removeEventListener?.("change", onChange);
     }, []);
-    return prefers;
+
+    useEffect(() => {
+        if (typeof navigator.getBattery !== "function") return;
+        let battery = null;
+        let cancelled = false;
+        const onChange = () => setLowBattery(!battery.charging && battery.level <= LOW_BATTERY);
+        navigator.getBattery().then((b) => {
+            if (cancelled) return;
+            battery = b;
+            onChange();
+            battery.addEventListener("levelchange", onChange);
+            battery.addEventListener("chargingchange", onChange);
+        }).catch(() => {});
+        return () => {
+            cancelled = true;
+            battery?.removeEventListener("levelchange", onChange);
+            battery?.removeEventListener("chargingchange", onChange);
+        };
+    }, []);
+
+    return saveData || lowBattery;
+}
+
+function canUseWorker(canvas) {
+    return typeof Worker !== "undefined" && typeof canvas.transferControlToOffscreen === "function";
+}
+
+// Hands the canvas to a dedicated worker; the frame loop never touches the main thread
+function startInWorker(canvas, { props, reduced, width, height, dpr }, { onReady, onDrawn, onStats, onHighlights, onFrame }) {
+    const offscreen = canvas.transferControlToOffscreen();
+    const worker = new Worker(new URL("../lib/diamond/worker.js", import.meta.url));
+    worker.onerror = (e) => {
+        console.error("DiamondBackground worker failed", e);
+        // Worker errors don't reach window's error listeners (and so error reporting) by themselves
+        window.reportError?.(new Error(`DiamondBackground worker: ${e.message}`));
+    };
+    worker.onmessage = ({ data }) => {
+        if (data.type === "ready") onReady({ renderer: data.renderer, worker: true });
+        if (data.type === "drawn") onDrawn();
+        if (data.type === "stats") onStats(data.stats);
+        if (data.type === "highlights") onHighlights(data);
+        if (data.type === "frame") onFrame(data.info);
+    };
+    worker.postMessage(
+        { type: "init", canvas: offscreen, props, reduced, width, height, dpr },
+        [offscreen]
+    );
+
+    return {
+        resize: (width, height, dpr) => worker.postMessage({ type: "resize", width, height, dpr }),
+        setProps: (props) => worker.postMessage({ type: "props", props }),
+        setReducedMotion: (reduced) => worker.postMessage({ type: "reducedMotion", reduced }),
+        setPointer: (x, y) => worker.postMessage({ type: "pointer", x, y }),
+        ripple: (x, y) => worker.postMessage({ type: "ripple", x, y }),
+        stop: () => worker.postMessage({ type: "pause" }),
+        start: () => worker.postMessage({ type: "resume" }),
+        burst: (options) => worker.postMessage({ type: "burst", options }),
+        setPalette: (palette) => worker.postMessage({ type: "palette", palette }),
+        seek: (offset) => worker.postMessage({ type: "seek", offset }),
+        dispose: () => worker.postMessage({ type: "dispose" }),
+    };
+}
+
+// Fallback for browsers without OffscreenCanvas: same engine, same surface, main thread
+function startInThread(canvas, { props, reduced, width, height, dpr }, callbacks) {
+    const engine = createDiamondEngine(canvas, props, callbacks);
+    callbacks.onReady({ renderer: engine.renderer, worker: false });
+    engine.setReducedMotion(reduced);
+    engine.resize(width, height, dpr);
+    engine.start();
+    return engine;
 }
 
 /**
@@ -17,287 +125,329 @@ function usePrefersReducedMotion() {
  * - Keeps constant row spacing (no collisions).
  * - Uses robust coverage calc so the canvas fills the viewport (incl. corners).
  * - Seamless modulo loop.
+ * - renderer="webgl" draws the lattice as one instanced mesh; "auto" uses it when
+ *   hardware-accelerated WebGL is available. Both fall back to Canvas 2D, on a fresh
+ *   canvas if the WebGL program turned out not to link.
+ * - Animates on an OffscreenCanvas in a worker where supported (see lib/diamond/worker.js);
+ *   size, DPR, prop and reduced-motion changes are sent over as messages.
+ * - Only cells that can reach the viewport are drawn. `showStats` overlays frame time,
+ *   drawn-cell count and the governor's current DPR/FPS (ignored in production builds).
+ * - Stops while the tab is hidden. `targetFps` and the
+ *   screen's DPR (up to 2) are ceilings the engine steps down from to keep up, and
+ *   Save-Data or a low battery caps them at 30 fps and 1×.
+ * - `interaction` lights up diamonds around the cursor (with a fading trail) and sends a
+ *   ripple out from each tap. Listeners sit on window so the canvas stays click-through;
+ *   it switches itself off under prefers-reduced-motion.
+ * - Reads the shared motion preference (hooks/use-motion-preference.js): the visitor can
+ *   pause the animation or turn highlights off with <MotionControl>, on every page.
+ * - `choreography` scripts the highlights as timed steps, played in order and looped.
+ *   Each step names a pattern from lib/diamond/patterns.js (random, diagonalSweep,
+ *   rings, glyph, wave) with its params, colour and duration; `at` (ms) overlaps steps.
+ *   Without it, the random spawner runs with highlightCount/highlightEveryMs:
+ *
+ *     choreography={[
+ *         { pattern: "diagonalSweep", duration: 4000, params: { width: 2 } },
+ *         { pattern: "rings", duration: 6000, color: "#ffffff", params: { count: 3 } },
+ *         { pattern: "glyph", duration: 5000, params: { text: "38" } },
+ *         { pattern: "wave", duration: 5000 },
+ *     ]}
+ *
+ * - The forwarded ref exposes pause(), resume(), burst({ pattern, params, color, duration }),
+ *   setPalette({ diamondColor, accentColor }) (null restores the props) and seek(offset),
+ *   where offset is px of total row slide as reported by onFrame.
+ * - onReady receives { renderer: "webgl" | "2d", worker } once a canvas is set up, e.g. to
+ *   tag real-user metrics with what actually rendered (see lib/rum/collect.js).
+ * - onHighlightSpawn/onHighlightExpire receive { row, col, color, x, y } per diamond;
+ *   onFrame receives { time, offset, highlights } every frame. They're only wired up
+ *   (and posted back from the worker) when passed.
+ * - `angle` rotates the lattice (degrees, 135 is the original diagonal) and `lattice`
+ *   picks the packing: "staggered" (half-cell offset rows), "hex" or "square".
+ * - `shape` is a built-in ("diamond", "square", "hexagon", "dot", "chevron"), SVG path
+ *   data, or an imported SVG file (`import tile from "../images/grid-diamond.svg"`).
+ *   SVG outlines are read from path/rect/polygon/circle elements and scaled so their
+ *   viewBox spans diamondSize; big files like diamond-row.svg cost one polygon each.
+ * - `seed` (number or string) makes the highlight patterns' randomness repeatable, so the
+ *   same seed plus seek(offset) gives the same frame, e.g. for screenshots. The geometry
+ *   itself lives in lib/diamond/lattice.js.
+ * - gatsby-ssr.js puts a static SVG frame of the lattice in every page's HTML
+ *   (lib/diamond/poster.js); the canvas cross-fades over it once it has drawn a frame.
+ *   Keep the props in src/config/background.js so the two match. The site's instance
+ *   lives in components/Layout.js, which stays mounted across route changes.
  */
-export default function DiamondBackground({
+const DiamondBackground = forwardRef(function DiamondBackground({
     diamondSize = 20,           // tip-to-tip size in px
     gap = 24,                   // edge-to-edge gap; center spacing = diamondSize + gap
     speed = 10,                 // px/sec along rotated X axis (U)
-    diamondColor = "#121212",
-    accentColor = "#ff7a00",
+    diamondColor = themes[defaultTheme].diamond,
+    accentColor = themes[defaultTheme].highlight,
     highlightCount = 6,
     highlightEveryMs = 10000,
     opacity = 1.0,
     targetFps = 0,              // 0 = uncapped; set 30/45 to cap on mobile
     direction = "NE_SW",        // "NE_SW" (even ↗︎ / odd ↙︎) or "SW_NE" to flip
-}) {
-    const canvasRef = useRef(null);
-    const rafRef = useRef(0);
-
-    const highlightsRef = useRef(new Map()); // Store diamond info: key -> {row, col, startOffset}
-    const lastSpawnRef = useRef(0);
-    const colsVisibleRef = useRef(0);
-    const rowsVisibleRef = useRef(0);
-
-    const reduced = usePrefersReducedMotion();
+    renderer = "auto",          // "webgl" | "2d" | "auto"
+    showStats = false,          // dev-only frame time / drawn cells overlay
+    interaction = false,        // pointer glow + tap ripples
+    interactionRadius = 120,    // px falloff radius around the cursor
+    interactionDecayMs = 600,   // how long the cursor trail takes to fade
+    rippleSpeed = 600,          // px/sec for tap ripples
+    choreography = null,        // [{ pattern, params, color, duration, at }]
+    angle = 135,                // lattice rotation in degrees
+    lattice = "staggered",      // "staggered" | "hex" | "square"
+    shape = "diamond",          // built-in name, SVG path data or SVG file URL
+    seed,                       // repeatable highlight randomness; unset = Math.random
+    onReady,
+    onHighlightSpawn,
+    onHighlightExpire,
+    onFrame,
+}, ref) {
+    const containerRef = useRef(null);
+    const hostRef = useRef(null);
+    const sentPropsRef = useRef(null);
+
+    // Imperative state that has to survive a new host (renderer change)
+    const pausedRef = useRef(false);
+    const paletteRef = useRef(null);
+    const revealedRef = useRef(false);
+
+    const listenersRef = useRef({});
+    listenersRef.current = { onReady, onHighlightSpawn, onHighlightExpire, onFrame };
+    const emitHighlights = !!(onHighlightSpawn || onHighlightExpire);
+    const emitFrame = !!onFrame;
+
+    // OS reduced-motion setting plus the visitor's own choices from <MotionControl>
+    const motion = useMotionPreference();
+    const reduced = motion.prefersReducedMotion;
+    const userPausedRef = useRef(motion.paused);
+    userPausedRef.current = motion.paused;
+    const lowPower = useLowPower();
+    // Tab hidden: no point running frames. The canvas is fixed to the viewport, so
+    // it's never scrolled out of view
+    const hiddenRef = useRef(false);
+    const statsEnabled = showStats && process.env.NODE_ENV !== "production";
+    const [stats, setStats] = useState(null);
+    // The WebGL program didn't link on this device; that canvas is spent, so go 2D
+    const [webglFailed, setWebglFailed] = useState(false);
+    const activeRenderer = webglFailed ? "2d" : renderer;
+    const interactive = interaction && !reduced;
+
+    // SVG files are fetched and outlined here; the engine only ever sees plain data
+    const [svgShape, setSvgShape] = useState(null);
+    useEffect(() => {
+        if (!isSvgUrl(shape)) return;
+        let cancelled = false;
+        loadSvgShape(shape)
+            .then((loaded) => !cancelled && setSvgShape({ url: shape, loaded }))
+            .catch((err) => console.error("DiamondBackground: couldn't load shape", err));
+        return () => { cancelled = true; };
+    }, [shape]);
+    const tile = !isSvgUrl(shape) ? shape
+        : svgShape?.url === shape ? svgShape.loaded
+        : "diamond";
+
+    // Callers usually pass an inline array; only a change in content should reach the engine
+    const choreographyKey = JSON.stringify(choreography || []);
+    const steps = useMemo(() => JSON.parse(choreographyKey), [choreographyKey]);
+
+    // Plain data only: this object is posted to the worker as-is
+    const props = useMemo(() => ({
+        diamondSize, gap, speed, diamondColor, accentColor,
+        highlightCount, highlightEveryMs, opacity, targetFps, direction, renderer: activeRenderer,
+        showStats: statsEnabled,
+        interaction: interactive, interactionRadius, interactionDecayMs, rippleSpeed,
+        choreography: steps,
+        angle, lattice, shape: tile, seed,
+        showHighlights: motion.highlights, lowPower,
+        emit: { highlights: emitHighlights, frame: emitFrame }
+    }), [
+        diamondSize, gap, speed, diamondColor, accentColor,
+        highlightCount, highlightEveryMs, opacity, targetFps, direction, activeRenderer,
+        statsEnabled, interactive, interactionRadius, interactionDecayMs, rippleSpeed,
+        steps, emitHighlights, emitFrame, angle, lattice, tile, seed,
+        motion.highlights, lowPower
+    ]);
+    const latestRef = useRef({ props, reduced });
+    latestRef.current = { props, reduced };
 
+    // A canvas only ever gets one context type and can only be transferred once,
+    // so each run of this effect starts from a fresh <canvas>.
     useEffect(() => {
-        const canvas = canvasRef.current;
-        if (!canvas) return;
-        const ctx = canvas.getContext("2d", { alpha: true, desynchronized: true });
-
-        // Geometry
-        const spacing = diamondSize + gap; // center-to-center (square lattice)
-        const rowStride = spacing;
-        const half = diamondSize / 2;
-
-        // Prebuild diamond path (square rotated 45°)
-        const diamondPath = new Path2D();
-        diamondPath.moveTo(0, -half);
-        diamondPath.lineTo(half, 0);
-        diamondPath.lineTo(0, half);
-        diamondPath.lineTo(-half, 0);
-        diamondPath.closePath();
-
-        // Rotation basis - you can modify this angle:
-        // Math.PI / 4 = 45° (original)
-        // Math.PI / 4 + Math.PI / 2 = 135° (90° rotation)
-        // -Math.PI / 4 = -45° (horizontal flip)
-        // Math.PI / 4 + Math.PI = 225° (180° rotation)
-        const theta = Math.PI / 4 + Math.PI / 2; // 90° rotation
-        const cos = Math.cos(theta);
-        const sin = Math.sin(theta);
-
-        // Resize + coverage calculation
-        let w = 0, h = 0, dpr = 1;
-
-        function computeCoverageCounts(width, height) {
-            // Much simpler approach: calculate how many diamonds we need in each direction
-            // Add substantial padding to ensure full coverage including rotation and animation
-            const diagonal = Math.sqrt(width * width + height * height);
-            const padding = spacing * 3; // Extra padding for animation and rotation
-            
-            // Calculate needed diamonds in each direction
-            const cols = Math.ceil((diagonal + padding * 2) / spacing) + 10;
-            const rows = Math.ceil((diagonal + padding * 2) / spacing) + 10;
-
-            colsVisibleRef.current = cols;
-            rowsVisibleRef.current = rows;
-
-            // Seed highlights - start with a few diamonds at screen edge
-            const highlights = new Map();
-            highlightsRef.current = highlights;
-        }
-
-        function manageHighlights(cols, rows, currentOffset, w, h, evenSign, oddSign, now) {
-            const highlights = highlightsRef.current;
-            const screenWidth = w;
-            const screenHeight = h;
-            
-            // Calculate how far a diamond needs to travel to cross the screen
-            // Since diamonds move horizontally in the rotated space, we need the diagonal distance
-            const maxDistance = Math.sqrt(screenWidth * screenWidth + screenHeight * screenHeight);
-            const transitDistance = maxDistance + spacing * 2; // Add buffer
-            
-            // Remove highlights that have traveled too far
-            for (const [key, data] of highlights.entries()) {
-                const offsetDiff = Math.abs(currentOffset - data.startOffset);
-                if (offsetDiff > transitDistance) {
-                    highlights.delete(key);
-                }
-            }
-            
-            // Add new highlights periodically - spawn them at screen edge
-            if (now - lastSpawnRef.current > highlightEveryMs) {
-                const numToSpawn = Math.min(highlightCount - highlights.size, 2);
-                
-                for (let i = 0; i < numToSpawn; i++) {
-                    // Pick a random row
-                    const row = Math.floor(Math.random() * rows) - Math.floor(rows / 2);
-                    
-                    // Calculate which column would place the diamond at the screen edge
-                    const isEven = (row & 1) === 0;
-                    const vRow = row * rowStride + rowStride * 0.5;
-                    const stagger = isEven ? 0 : spacing * 0.5;
-                    const uShift = (isEven ? evenSign : oddSign) * currentOffset;
-                    
-                    // Find column that puts diamond at left edge of screen
-                    const targetX = -diamondSize; // Just off left edge
-                    const targetY = screenHeight / 2; // Middle of screen
-                    
-                    // Work backwards from screen position to find the right column
-                    // x = u * cos - vRow * sin + centerX
-                    // u = (x - centerX + vRow * sin) / cos
-                    const u = (targetX - screenWidth/2 + vRow * sin) / cos;
-                    const col = Math.round((u - stagger - uShift - spacing * 0.5) / spacing);
-                    
-                    const key = `${row}:${col}`;
-                    if (!highlights.has(key)) {
-                        highlights.set(key, {
-                            row: row,
-                            col: col,
-                            startOffset: currentOffset
-                        });
-                    }
-                }
-                
-                lastSpawnRef.current = now;
-            }
-        }
-
-        function resize() {
-            // Get device pixel ratio but cap it to avoid performance issues
-            dpr = Math.min(2, Math.max(1, window.devicePixelRatio || 1));
-            
-            // Use window dimensions for full screen coverage
-            const width = window.innerWidth;
-            const height = window.innerHeight;
-
-            if (width !== w || height !== h) {
-                w = width;
-                h = height;
-                
-                // Set canvas size
-                canvas.width = Math.ceil(w * dpr);
-                canvas.height = Math.ceil(h * dpr);
-                canvas.style.width = `${w}px`;
-                canvas.style.height = `${h}px`;
-                
-                // Scale context for device pixel ratio
-                ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-
-                // Recompute how many cells we need to draw to fully cover viewport
-                computeCoverageCounts(w, h);
+        const container = containerRef.current;
+        if (!container) return;
+
+        const canvas = document.createElement("canvas");
+        Object.assign(canvas.style, canvasStyle);
+        // Hidden until its first frame, so a fresh mount never flashes an empty canvas
+        if (!revealedRef.current) canvas.style.opacity = "0";
+        container.appendChild(canvas);
+
+        // Fades the canvas in over the static poster from gatsby-ssr.js, then drops the poster
+        let revealTimer = 0;
+        const reveal = () => {
+            if (revealedRef.current) return;
+            revealedRef.current = true;
+            const poster = document.getElementById(POSTER_ID);
+            const duration = latestRef.current.reduced ? 0 : REVEAL_MS;
+            const transition = `opacity ${duration}ms ease-out`;
+            canvas.style.transition = transition;
+            canvas.style.opacity = "1";
+            if (poster) {
+                poster.style.transition = transition;
+                poster.style.opacity = "0";
+                revealTimer = setTimeout(() => poster.remove(), duration);
             }
-        }
+        };
 
-        // Initial resize
-        resize();
-        
-        // Listen for window resize
-        const handleResize = () => resize();
+        const init = {
+            ...latestRef.current,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            dpr: window.devicePixelRatio || 1,
+        };
+        const callbacks = {
+            onReady: (info) => {
+                if (!info.renderer) setWebglFailed(true);
+                else listenersRef.current.onReady?.(info);
+            },
+            onDrawn: reveal,
+            onStats: setStats,
+            onHighlights: ({ spawned, expired }) => {
+                const { onHighlightSpawn, onHighlightExpire } = listenersRef.current;
+                if (onHighlightSpawn) spawned.forEach((cell) => onHighlightSpawn(cell));
+                if (onHighlightExpire) expired.forEach((cell) => onHighlightExpire(cell));
+            },
+            onFrame: (info) => listenersRef.current.onFrame?.(info),
+        };
+        const host = canUseWorker(canvas)
+            ? startInWorker(canvas, init, callbacks)
+            : startInThread(canvas, init, callbacks);
+        hostRef.current = host;
+        sentPropsRef.current = init.props;
+        if (paletteRef.current) host.setPalette(paletteRef.current);
+        if (pausedRef.current || userPausedRef.current || hiddenRef.current) host.stop();
+
+        const handleResize = () => host.resize(
+            window.innerWidth, window.innerHeight, window.devicePixelRatio || 1
+        );
         window.addEventListener('resize', handleResize);
 
-        // Animation state
-        let last = performance.now();
-        let acc = 0;
-        let off = 0; // even rows move +off along U, odd rows -off (or flipped via direction)
-
-        const evenSign = direction === "NE_SW" ? +1 : -1;
-        const oddSign = -evenSign;
-
-        function drawDiamondScreen(x, y, highlighted) {
-            ctx.fillStyle = highlighted ? accentColor : diamondColor;
-            ctx.save();
-            ctx.translate(x, y);
-            ctx.fill(diamondPath);
-            ctx.restore();
-        }
-
-        function frame(now) {
-            let dt = Math.min(64, now - last) / 1000;
-            last = now;
-
-            // FPS cap (optional)
-            if (targetFps > 0) {
-                acc += dt;
-                const step = 1 / targetFps;
-                if (acc < step) {
-                    rafRef.current = requestAnimationFrame(frame);
-                    return;
-                }
-                dt = step;
-                acc = acc % step || 0;
+        return () => {
+            window.removeEventListener('resize', handleResize);
+            if (revealTimer) {
+                clearTimeout(revealTimer);
+                document.getElementById(POSTER_ID)?.remove();
             }
+            host.dispose();
+            hostRef.current = null;
+            canvas.remove();
+        };
+    }, [activeRenderer]);
+
+    // Runs unless paused through the ref or by the visitor, or the tab is hidden
+    const syncRunning = () => {
+        if (pausedRef.current || userPausedRef.current || hiddenRef.current) hostRef.current?.stop();
+        else hostRef.current?.start();
+    };
+
+    useImperativeHandle(ref, () => ({
+        pause() {
+            pausedRef.current = true;
+            syncRunning();
+        },
+        resume() {
+            pausedRef.current = false;
+            syncRunning();
+        },
+        burst(options) {
+            hostRef.current?.burst(options);
+        },
+        setPalette(palette) {
+            paletteRef.current = palette;
+            hostRef.current?.setPalette(palette);
+        },
+        seek(offset) {
+            hostRef.current?.seek(offset);
+        },
+    }), []);
 
-            ctx.clearRect(0, 0, w, h);
-            ctx.globalAlpha = opacity;
-
-            const v = reduced ? 0 : speed;
-            off = (off + v * dt) % spacing; // seamless wrap along U
-
-            const cols = colsVisibleRef.current || 0;
-            const rows = rowsVisibleRef.current || 0;
+    useEffect(() => {
+        if (!hostRef.current || sentPropsRef.current === props) return;
+        hostRef.current.setProps(props);
+        sentPropsRef.current = props;
+    }, [props]);
 
-            if (now - lastSpawnRef.current > highlightEveryMs) {
-                manageHighlights(
-                    cols, rows, off, w, h, evenSign, oddSign, now
-                );
-            }
+    useEffect(() => {
+        hostRef.current?.setReducedMotion(reduced);
+    }, [reduced]);
 
-            // Draw a much larger grid centered around the screen center
-            const centerX = w / 2;
-            const centerY = h / 2;
-            
-            // Start from much further out to ensure complete coverage
-            const colStart = -Math.ceil(cols / 2) - 5;
-            const colEnd = Math.ceil(cols / 2) + 5;
-            const rowStart = -Math.ceil(rows / 2) - 5;
-            const rowEnd = Math.ceil(rows / 2) + 5;
-
-            for (let r = rowStart; r < rowEnd; r++) {
-                const isEven = (r & 1) === 0;
-                const vRow = r * rowStride + rowStride * 0.5;
-                const stagger = isEven ? 0 : spacing * 0.5;
-                const uShift = (isEven ? evenSign : oddSign) * off;
-
-                for (let c = colStart; c < colEnd; c++) {
-                    const uCol = c * spacing + spacing * 0.5;
-                    const u = uCol + stagger + uShift;
-
-                    // Rotate (u,v) -> (x,y) and translate to screen center
-                    const x = u * cos - vRow * sin + centerX;
-                    const y = u * sin + vRow * cos + centerY;
-
-                    // Draw all diamonds without culling to ensure full coverage
-                    // Check if this diamond should be highlighted
-                    const absoluteKey = `${r}:${c}`;
-                    const highlighted = highlightsRef.current.has(absoluteKey);
-
-                    drawDiamondScreen(x, y, highlighted);
-                }
-            }
+    useEffect(() => {
+        syncRunning();
+    }, [motion.paused]);
 
-            rafRef.current = requestAnimationFrame(frame);
-        }
+    useEffect(() => {
+        const onVisibility = () => {
+            hiddenRef.current = document.visibilityState === "hidden";
+            syncRunning();
+        };
+        document.addEventListener("visibilitychange", onVisibility);
+        onVisibility();
+        return () => document.removeEventListener("visibilitychange", onVisibility);
+    }, []);
 
-        // Start animation
-        rafRef.current = requestAnimationFrame(frame);
+    // The canvas is fixed at the viewport origin, so client coords are canvas coords
+    useEffect(() => {
+        if (!interactive) return;
+
+        const onMove = (e) => hostRef.current?.setPointer(e.clientX, e.clientY);
+        const onDown = (e) => hostRef.current?.ripple(e.clientX, e.clientY);
+        const onLeave = () => hostRef.current?.setPointer(null, null);
+        // A lifted finger leaves no hovering pointer behind
+        const onUp = (e) => { if (e.pointerType !== "mouse") onLeave(); };
+
+        const opts = { passive: true };
+        const root = document.documentElement;
+        window.addEventListener("pointermove", onMove, opts);
+        window.addEventListener("pointerdown", onDown, opts);
+        window.addEventListener("pointerup", onUp, opts);
+        window.addEventListener("pointercancel", onLeave, opts);
+        root.addEventListener("pointerleave", onLeave, opts);
 
         return () => {
-            cancelAnimationFrame(rafRef.current);
-            window.removeEventListener('resize', handleResize);
+            window.removeEventListener("pointermove", onMove, opts);
+            window.removeEventListener("pointerdown", onDown, opts);
+            window.removeEventListener("pointerup", onUp, opts);
+            window.removeEventListener("pointercancel", onLeave, opts);
+            root.removeEventListener("pointerleave", onLeave, opts);
+            onLeave();
         };
-    }, [
-        diamondSize, gap, speed, diamondColor, accentColor,
-        highlightCount, highlightEveryMs, opacity, targetFps, direction, reduced
-    ]);
+    }, [interactive]);
 
     return (
-        <div 
-            aria-hidden="true" 
-            style={{ 
-                position: "fixed", 
-                top: 0,
-                left: 0,
-                width: "100vw",
-                height: "100vh",
-                zIndex: 0, 
-                overflow: "hidden",
-                pointerEvents: "none"
-            }}
-        >
-            <canvas
-                ref={canvasRef}
+        <>
+            <div
+                ref={containerRef}
+                aria-hidden="true"
                 style={{
-                    display: "block",
-                    width: "100%",
-                    height: "100%",
-                    pointerEvents: "none",
-                    userSelect: "none",
-                    touchAction: "none",
-                    willChange: "transform"
+                    position: "fixed",
+                    top: 0,
+                    left: 0,
+                    width: "100vw",
+                    height: "100vh",
+                    zIndex: 0,
+                    overflow: "hidden",
+                    pointerEvents: "none"
                 }}
             />
-        </div>
+            {statsEnabled && stats && (
+                <div aria-hidden="true" style={statsStyle}>
+                    {`${stats.renderer}  ${stats.fps.toFixed(0)} fps\n`}
+                    {`frame ${stats.frameMs.toFixed(2)} ms\n`}
+                    {`dpr ${stats.dpr}  cap ${stats.fpsCap || "-"} fps\n`}
+                    {`cells ${stats.cells}`}
+                </div>
+            )}
+        </>
     );
-}
\ No newline at end of file
+});
+
+export default DiamondBackground;
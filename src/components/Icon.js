@@ -0,0 +1,47 @@
+import React, { useId } from 'react';
+import registry from '../lib/icons/registry.json';
+
+// Unknown names are reported once each, in development and at build time
+const warnUnknown = process.env.NODE_ENV !== 'production' || typeof window === 'undefined';
+const warned = new Set();
+
+export const iconNames = Object.keys(registry);
+
+/**
+ * Inline SVG icon from src/images/<name>.svg (registry generated by gatsby/icons.js).
+ * Icons are square and drawn in currentColor, so they follow the text colour.
+ *   size   width and height; a number is px, a string any CSS length (default 1em)
+ *   title  accessible name; without one the icon is decorative and hidden from
+ *          assistive tech, so label the surrounding control instead
+ */
+const Icon = ({ name, size = '1em', title, className, ...props }) => {
+  const titleId = useId();
+  const icon = registry[name];
+
+  if (!icon) {
+    if (warnUnknown && !warned.has(name)) {
+      warned.add(name);
+      console.warn(`[Icon] unknown icon "${name}"; available: ${iconNames.join(', ')}`);
+    }
+    return null;
+  }
+
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox={icon.viewBox}
+      width={size}
+      height={size}
+      fill="currentColor"
+      className={className ? `icon ${className}` : 'icon'}
+      focusable="false"
+      {...(title ? { role: 'img', 'aria-labelledby': titleId } : { 'aria-hidden': true })}
+      {...props}
+    >
+      {title && <title id={titleId}>{title}</title>}
+      <g dangerouslySetInnerHTML={{ __html: icon.body }} />
+    </svg>
+  );
+};
+
+export default Icon;
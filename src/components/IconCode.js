@@ -1,9 +0,0 @@
-import React from 'react';
-
-const StrategyIcon = (props) => (
-  <svg {...props} viewBox="0 0 24 24">
-    <path d="M12.6562 1.0481C12.9062 1.14185 13.0625 1.4231 12.9688 1.6731L7.96875 16.6731C7.875 16.9543 7.59375 17.0793 7.34375 17.0168C7.0625 16.9231 6.9375 16.6418 7 16.3606L12 1.3606C12.0938 1.1106 12.375 0.954346 12.6562 1.0481ZM5.375 4.70435H5.34375C5.53125 4.89185 5.53125 5.2356 5.3125 5.39185L1.25 9.01685L5.3125 12.6731C5.53125 12.8293 5.53125 13.1731 5.375 13.3606C5.1875 13.5793 4.875 13.5793 4.65625 13.3918L0.15625 9.39185C0.0625 9.2981 0 9.1731 0 9.01685C0 8.89185 0.0625 8.76685 0.15625 8.6731L4.65625 4.6731C4.875 4.4856 5.1875 4.4856 5.375 4.70435ZM14.625 4.70435C14.8125 4.4856 15.125 4.45435 15.3125 4.64185L19.8125 8.64185C19.9375 8.7356 20 8.89185 20 9.01685C20 9.1731 19.9375 9.2981 19.8125 9.39185L15.3125 13.3918C15.125 13.5793 14.8125 13.5793 14.625 13.3606C14.4375 13.1418 14.4375 12.8293 14.6562 12.6418L18.7188 9.01685L14.6562 5.39185C14.4375 5.2356 14.4375 4.89185 14.625 4.70435Z" fill="white"/>
-  </svg>
-);
-
-export default StrategyIcon;
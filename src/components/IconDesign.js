@@ -1,9 +0,0 @@
-import React from 'react';
-
-const StrategyIcon = (props) => (
-  <svg {...props} viewBox="0 0 24 24">
-    <path d="M2 3.01685C2.53125 3.01685 3 2.57935 3 2.01685C3 1.4856 2.53125 1.01685 2 1.01685C1.4375 1.01685 1 1.4856 1 2.01685C1 2.57935 1.4375 3.01685 2 3.01685ZM2 0.0168457C2.90625 0.0168457 3.6875 0.673096 3.9375 1.51685H10.0625C10.2812 0.673096 11.0625 0.0168457 12 0.0168457C13.0938 0.0168457 14 0.923096 14 2.01685C14 2.95435 13.3438 3.7356 12.5 3.95435V10.0793C13.3438 10.3293 14 11.1106 14 12.0168C14 13.1418 13.0938 14.0168 12 14.0168C11.0625 14.0168 10.2812 13.3918 10.0625 12.5168H3.9375C3.6875 13.3918 2.90625 14.0168 2 14.0168C0.875 14.0168 0 13.1418 0 12.0168C0 11.1106 0.625 10.3293 1.5 10.0793V3.95435C0.625 3.7356 0 2.95435 0 2.01685C0 0.923096 0.875 0.0168457 2 0.0168457ZM3.9375 11.5168H10.0625C10.2188 10.8293 10.7812 10.2668 11.5 10.0793V3.95435C10.7812 3.7981 10.2188 3.2356 10.0625 2.51685H3.9375C3.75 3.2356 3.1875 3.7981 2.5 3.95435V10.0793C3.1875 10.2668 3.75 10.8293 3.9375 11.5168ZM3 12.0168C3 11.4856 2.53125 11.0168 2 11.0168C1.4375 11.0168 1 11.4856 1 12.0168C1 12.5793 1.4375 13.0168 2 13.0168C2.53125 13.0168 3 12.5793 3 12.0168ZM11 12.0168C11 12.5793 11.4375 13.0168 12 13.0168C12.5312 13.0168 13 12.5793 13 12.0168C13 11.4856 12.5312 11.0168 12 11.0168C11.4375 11.0168 11 11.4856 11 12.0168ZM12 3.01685C12.5312 3.01685 13 2.57935 13 2.01685C13 1.4856 12.5312 1.01685 12 1.01685C11.4375 1.01685 11 1.4856 11 2.01685C11 2.57935 11.4375 3.01685 12 3.01685Z" fill="white"/>
-  </svg>
-);
-
-export default StrategyIcon;
@@ -1,9 +0,0 @@
-import React from 'react';
-
-const StrategyIcon = (props) => (
-  <svg {...props} viewBox="0 0 24 24">
-    <path d="M13.5 5.01685H9.5C9.21875 5.01685 9 4.7981 9 4.51685C9 4.26685 9.21875 4.01685 9.5 4.01685H12.1875C11.1562 2.2356 9.21875 1.01685 7 1.01685C3.6875 1.01685 1 3.70435 1 7.01685C1 10.3293 3.6875 13.0168 7 13.0168C9.09375 13.0168 10.9688 11.9231 12.0312 10.2981C12.125 10.1418 12.3125 10.0168 12.5 10.0168C12.875 10.0168 13.125 10.4231 12.9062 10.7668C11.6875 12.7356 9.46875 14.0168 7 14.0168C3.125 14.0168 0 10.8918 0 7.01685C0 3.1731 3.125 0.0168457 7 0.0168457C9.53125 0.0168457 11.75 1.39185 13 3.4231V0.516846C13 0.266846 13.2188 0.0168457 13.5 0.0168457C13.75 0.0168457 14 0.266846 14 0.516846V4.51685C14 4.7981 13.75 5.01685 13.5 5.01685Z" fill="white"/>
-  </svg>
-);
-
-export default StrategyIcon;
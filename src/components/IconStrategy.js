@@ -1,9 +0,0 @@
-import React from 'react';
-
-const StrategyIcon = (props) => (
-  <svg {...props} viewBox="0 0 24 24">
-    <path d="M7.3125 0.173096C7.53125 0.0793457 7.75 0.0168457 8 0.0168457C8.21875 0.0168457 8.46875 0.0793457 8.65625 0.173096L15.4688 3.2356C15.7812 3.3606 16 3.6731 16 4.0481C16 4.39185 15.7812 4.70435 15.4688 4.82935L8.65625 7.89185C8.4375 7.9856 8.21875 8.01685 8 8.01685C7.75 8.01685 7.53125 7.9856 7.3125 7.89185L0.5 4.82935C0.1875 4.70435 0 4.39185 0 4.01685C0 3.6731 0.1875 3.3606 0.5 3.2356L7.3125 0.173096ZM8 1.01685C7.90625 1.01685 7.8125 1.0481 7.71875 1.07935L1.15625 4.01685L7.71875 6.9856C7.8125 7.01685 7.90625 7.01685 8 7.01685C8.09375 7.01685 8.1875 7.01685 8.25 6.9856L14.8125 4.01685L8.25 1.07935C8.1875 1.0481 8.09375 1.01685 8 1.01685ZM0.5 11.2356L1.9375 10.5793L3.15625 11.1106L1.15625 12.0168L7.71875 14.9856C7.8125 15.0168 7.90625 15.0168 8 15.0168C8.09375 15.0168 8.1875 15.0168 8.25 14.9856L14.8125 12.0168L12.8125 11.1418L14.0312 10.5793L15.4688 11.2356C15.7812 11.3606 16 11.6731 16 12.0481C16 12.3918 15.7812 12.7043 15.4688 12.8293L8.65625 15.8918C8.4375 15.9856 8.21875 16.0168 8 16.0168C7.75 16.0168 7.53125 15.9856 7.3125 15.8918L0.5 12.8293C0.1875 12.7043 0 12.3918 0 12.0168C0 11.6731 0.1875 11.3606 0.5 11.2356ZM1.9375 6.57935L3.15625 7.1106L1.15625 8.01685L7.71875 10.9856C7.8125 11.0168 7.90625 11.0168 8 11.0168C8.09375 11.0168 8.1875 11.0168 8.25 10.9856L14.8125 8.01685L12.8125 7.14185L14.0312 6.57935L15.4688 7.2356C15.7812 7.3606 16 7.6731 16 8.0481C16 8.39185 15.7812 8.70435 15.4688 8.82935L8.65625 11.8918C8.4375 11.9856 8.21875 12.0168 8 12.0168C7.75 12.0168 7.53125 11.9856 7.3125 11.8918L0.5 8.82935C0.1875 8.70435 0 8.39185 0 8.01685C0 7.6731 0.1875 7.3606 0.5 7.2356L1.9375 6.57935Z" fill="white"/>
-  </svg>
-);
-
-export default StrategyIcon;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { Link } from 'gatsby';
+import { locales } from '../config/locales';
+import { useLocale } from '../hooks/use-locale';
+import { localizePath, parseLocale } from '../lib/i18n/paths';
+
+// Links to the current page in every other language (config/locales.js), each labelled
+// in its own language. Every page exists in every locale, so the link never 404s.
+const LanguageSwitcher = ({ pathname }) => {
+  const { locale: current, t } = useLocale();
+  const { path } = parseLocale(pathname);
+
+  return (
+    <ul className="language-switcher" aria-label={t('language.label')}>
+      {locales.map(({ code, hreflang, name }) => (
+        <li key={code}>
+          {code === current ? (
+            <span lang={hreflang} aria-current="true">{name}</span>
+          ) : (
+            <Link
+              to={localizePath(path, code)}
+              lang={hreflang}
+              hrefLang={hreflang}
+              title={t('language.switch', { language: name })}
+            >
+              {name}
+            </Link>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default LanguageSwitcher;
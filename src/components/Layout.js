@@ -0,0 +1,58 @@
+import React, { useEffect, useRef } from 'react';
+import '../scss/global.scss';
+import './layout.scss';
+import ConsentBanner from './ConsentBanner';
+import DiamondBackground from './DiamondBackground';
+import MotionControl from './MotionControl';
+import SiteFooter from './SiteFooter';
+import SiteHeader from './SiteHeader';
+import { backgroundPalette, homeBackground } from '../config/background';
+import { sectionIds } from '../config/navigation';
+import { useLocale } from '../hooks/use-locale';
+import { useScrollSpy } from '../hooks/use-scroll-spy';
+import { useTheme } from '../hooks/use-theme';
+import { parseLocale } from '../lib/i18n/paths';
+import { setRumContext } from '../lib/rum/collect';
+
+// Space the sticky header takes at the top; matches --header-height in layout.scss
+const HEADER_OFFSET = 64;
+
+// Real-user metrics are split by what the background actually rendered with
+const tagRenderer = ({ renderer, worker }) => setRumContext({ background: worker ? `${renderer}-worker` : renderer });
+
+/**
+ * Shell around every page, applied with wrapPageElement (gatsby-browser.js /
+ * gatsby-ssr.js). Gatsby keeps it mounted across route changes, so the background
+ * animation carries on from page to page instead of restarting. The cookie banner
+ * lives here rather than in wrapRootElement so it's in the page's language.
+ */
+const Layout = ({ children, location }) => {
+  const background = useRef(null);
+  const { theme } = useTheme();
+  const { t } = useLocale();
+  const isHome = parseLocale(location.pathname).path === '/';
+  const activeSection = useScrollSpy(sectionIds, { enabled: isHome, offset: HEADER_OFFSET });
+
+  // Re-themes the running canvas in place; no remount, the animation carries on
+  useEffect(() => {
+    background.current?.setPalette(backgroundPalette(theme));
+  }, [theme]);
+
+  return (
+    <>
+      <a className="skip-link" href="#main">{t('layout.skip')}</a>
+      <DiamondBackground ref={background} {...homeBackground} onReady={tagRenderer} />
+      <MotionControl />
+      <div className="layout">
+        <SiteHeader pathname={location.pathname} activeSection={activeSection} />
+        <main id="main" tabIndex={-1}>
+          {children}
+        </main>
+        <SiteFooter />
+      </div>
+      <ConsentBanner />
+    </>
+  );
+};
+
+export default Layout;
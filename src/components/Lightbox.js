@@ -0,0 +1,62 @@
+import React, { useEffect, useRef } from 'react';
+import { GatsbyImage } from 'gatsby-plugin-image';
+import { useLocale } from '../hooks/use-locale';
+import './lightbox.scss';
+
+/**
+ * Full-size image viewer over the page. Built on <dialog>, so focus stays inside and
+ * Escape closes it; Left/Right step through `images` ([{ image, alt }]).
+ * `index` is the open image, or null when closed.
+ */
+const Lightbox = ({ images, index, onChange, onClose }) => {
+  const ref = useRef(null);
+  const { t } = useLocale();
+  const isOpen = index !== null && index !== undefined;
+
+  useEffect(() => {
+    const dialog = ref.current;
+    if (isOpen && !dialog.open) dialog.showModal();
+    if (!isOpen && dialog.open) dialog.close();
+  }, [isOpen]);
+
+  const step = (by) => onChange((index + by + images.length) % images.length);
+
+  const onKeyDown = (event) => {
+    if (event.key === 'ArrowRight') step(1);
+    if (event.key === 'ArrowLeft') step(-1);
+  };
+
+  // A click on the backdrop lands on the dialog itself
+  const onClick = (event) => {
+    if (event.target === ref.current) onClose();
+  };
+
+  const current = isOpen ? images[index] : null;
+
+  return (
+    <dialog
+      ref={ref}
+      className="lightbox"
+      aria-label={t('lightbox.label')}
+      onClose={onClose}
+      onKeyDown={onKeyDown}
+      onClick={onClick}
+    >
+      {current && (
+        <>
+          <GatsbyImage image={current.image} alt={current.alt} className="lightbox-image" />
+          <p className="lightbox-count" aria-live="polite">{index + 1} / {images.length}</p>
+          {images.length > 1 && (
+            <>
+              <button type="button" className="lightbox-prev" onClick={() => step(-1)}>{t('lightbox.previous')}</button>
+              <button type="button" className="lightbox-next" onClick={() => step(1)}>{t('lightbox.next')}</button>
+            </>
+          )}
+          <button type="button" className="lightbox-close" onClick={onClose}>{t('lightbox.close')}</button>
+        </>
+      )}
+    </dialog>
+  );
+};
+
+export default Lightbox;
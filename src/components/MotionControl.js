@@ -0,0 +1,39 @@
+import React from 'react';
+import { FaPause, FaPlay, FaRegStar, FaStar } from 'react-icons/fa6';
+import { useLocale } from '../hooks/use-locale';
+import { useMotionPreference } from '../hooks/use-motion-preference';
+import './motion-control.scss';
+
+// Floating pause/play (WCAG 2.2.2) and highlight toggles for the animated background.
+// The choice is stored by the motion preference context, so it follows the visitor.
+const MotionControl = () => {
+  const { paused, highlights, setPaused, setHighlights } = useMotionPreference();
+  const { t } = useLocale();
+
+  return (
+    <div className="motion-control" role="group" aria-label={t('motion.label')}>
+      <button
+        type="button"
+        className="motion-control-button"
+        aria-pressed={paused}
+        title={t(paused ? 'motion.play' : 'motion.pause')}
+        onClick={() => setPaused(!paused)}
+      >
+        {paused ? <FaPlay aria-hidden="true" /> : <FaPause aria-hidden="true" />}
+        <span className="visually-hidden">{t('motion.pause')}</span>
+      </button>
+      <button
+        type="button"
+        className="motion-control-button"
+        aria-pressed={!highlights}
+        title={t(highlights ? 'motion.highlightsOff' : 'motion.highlightsOn')}
+        onClick={() => setHighlights(!highlights)}
+      >
+        {highlights ? <FaStar aria-hidden="true" /> : <FaRegStar aria-hidden="true" />}
+        <span className="visually-hidden">{t('motion.highlightsOff')}</span>
+      </button>
+    </div>
+  );
+};
+
+export default MotionControl;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Link } from 'gatsby';
+import { useLocale } from '../hooks/use-locale';
+import { defaultLocale, locales } from '../config/locales';
+import { localizePath } from '../lib/i18n/paths';
+
+// Date, author and reading time under a post title
+export const PostByline = ({ post }) => {
+  const { t, formatDate } = useLocale();
+  return (
+    <p className="post-byline">
+      {post.frontmatter.author && <span>{t('insights.by', { author: post.frontmatter.author })}</span>}
+      <time dateTime={post.frontmatter.date}>{formatDate(post.frontmatter.date)}</time>
+      <span>{t('insights.readingTime', { minutes: post.timeToRead })}</span>
+    </p>
+  );
+};
+
+// <head> links to the locale's feeds (gatsby/feeds.js). Takes the locale as a prop, as
+// Head exports render outside useLocale()'s provider.
+export const FeedLinks = ({ locale = defaultLocale }) => {
+  const { feedTitle } = locales.find(({ code }) => code === locale);
+  return (
+    <>
+      <link rel="alternate" type="application/rss+xml" title={`${feedTitle} (RSS)`} href={localizePath('/insights/rss.xml', locale)} />
+      <link rel="alternate" type="application/atom+xml" title={`${feedTitle} (Atom)`} href={localizePath('/insights/atom.xml', locale)} />
+    </>
+  );
+};
+
+export const PostTags = ({ tags }) => {
+  const { t, localize } = useLocale();
+  return (
+    tags.length > 0 && (
+      <ul className="post-tags" aria-label={t('insights.tags')}>
+        {tags.map(({ name, slug }) => (
+          <li key={slug}>
+            <Link to={localize(`/insights/tags/${slug}`)} className="work-tag">{name}</Link>
+          </li>
+        ))}
+      </ul>
+    )
+  );
+};
+
+// `fields.path` is the default locale's; posts link to the copy in the page's locale
+const PostList = ({ posts }) => {
+  const { t, localize } = useLocale();
+  return (
+    posts.length === 0
+      ? <p>{t('insights.empty')}</p>
+      : (
+        <ul className="post-list">
+          {posts.map((post) => (
+            <li key={post.fields.path}>
+              <h2><Link to={localize(post.fields.path)}>{post.frontmatter.title}</Link></h2>
+              <PostByline post={post} />
+              <p>{post.frontmatter.summary || post.excerpt}</p>
+              <PostTags tags={post.fields.tags} />
+            </li>
+          ))}
+        </ul>
+      )
+  );
+};
+
+export default PostList;
@@ -0,0 +1,11 @@
+import React from 'react';
+
+// A home page section the header can link to (`/#<id>`, see config/navigation.js).
+// Focusable so a nav link can move keyboard focus there along with the scroll.
+const Section = ({ id, label, className, children }) => (
+  <section id={id} aria-label={label} tabIndex={-1} className={className ? `section ${className}` : 'section'}>
+    {children}
+  </section>
+);
+
+export default Section;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { useConsent } from '../hooks/use-consent';
+import { useLocale } from '../hooks/use-locale';
+import ThemeToggle from './ThemeToggle';
+import './site-footer.scss';
+
+const SiteFooter = () => {
+  const { openPreferences } = useConsent();
+  const { t } = useLocale();
+
+  return (
+    <footer className="site-footer">
+      <span>{t('footer.copyright')}</span>
+      <button type="button" onClick={openPreferences}>{t('footer.cookies')}</button>
+      <ThemeToggle />
+    </footer>
+  );
+};
+
+export default SiteFooter;
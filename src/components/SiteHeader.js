@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'gatsby';
+import { FaBars, FaXmark } from 'react-icons/fa6';
+import { navigation } from '../config/navigation';
+import { useLocale } from '../hooks/use-locale';
+import { useMotionPreference } from '../hooks/use-motion-preference';
+import { parseLocale } from '../lib/i18n/paths';
+import logo from '../images/38.svg';
+import LanguageSwitcher from './LanguageSwitcher';
+import './site-header.scss';
+
+// Smooth-scrolls to a home page section and moves focus there, keeping the hash in the URL
+function scrollToSection(id, smooth) {
+  const section = document.getElementById(id);
+  if (!section) return false;
+  section.scrollIntoView({ behavior: smooth ? 'smooth' : 'auto', block: 'start' });
+  section.focus({ preventScroll: true });
+  window.history.replaceState(window.history.state, '', `#${id}`);
+  return true;
+}
+
+/**
+ * Sticky header with the main navigation (config/navigation.js). Below the tablet
+ * breakpoint the links (and the language switcher) fold into a menu button.
+ * `activeSection` is the home page section in view, from Layout's scroll-spy.
+ */
+const SiteHeader = ({ pathname, activeSection }) => {
+  const [open, setOpen] = useState(false);
+  const { prefersReducedMotion } = useMotionPreference();
+  const { t, localize } = useLocale();
+  const isHome = parseLocale(pathname).path === '/';
+
+  useEffect(() => setOpen(false), [pathname]);
+
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape' && open) {
+      setOpen(false);
+      document.getElementById('site-menu-toggle')?.focus();
+    }
+  };
+
+  const onNavigate = (event, item) => {
+    setOpen(false);
+    // Already on the page: scroll instead of a router navigation
+    if (isHome && item.section && scrollToSection(item.section, !prefersReducedMotion)) {
+      event.preventDefault();
+    }
+  };
+
+  return (
+    <header className="site-header" onKeyDown={onKeyDown}>
+      <Link to={localize('/')} className="site-header-logo">
+        <img src={logo} alt={t('header.home')} width="48" height="39" />
+      </Link>
+
+      <button
+        type="button"
+        id="site-menu-toggle"
+        className="site-menu-toggle"
+        aria-expanded={open}
+        aria-controls="site-nav"
+        onClick={() => setOpen(!open)}
+      >
+        {open ? <FaXmark aria-hidden="true" /> : <FaBars aria-hidden="true" />}
+        <span className="visually-hidden">{t('header.menu')}</span>
+      </button>
+
+      <nav id="site-nav" className={open ? 'site-nav is-open' : 'site-nav'} aria-label={t('header.nav')}>
+        <ul>
+          {navigation.map((item) => {
+            const current = item.section ? isHome && activeSection === item.section : undefined;
+            return (
+              <li key={item.to}>
+                <Link
+                  to={localize(item.to)}
+                  className={current ? 'is-active' : undefined}
+                  aria-current={current ? 'location' : undefined}
+                  activeClassName={item.section ? undefined : 'is-active'}
+                  partiallyActive={!item.section}
+                  onClick={(event) => onNavigate(event, item)}
+                >
+                  {t(item.label)}
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+        <LanguageSwitcher pathname={pathname} />
+      </nav>
+    </header>
+  );
+};
+
+export default SiteHeader;
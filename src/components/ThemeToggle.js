@@ -0,0 +1,33 @@
+import React from 'react';
+import { FaCircleHalfStroke, FaMoon, FaSun } from 'react-icons/fa6';
+import { useLocale } from '../hooks/use-locale';
+import { useTheme } from '../hooks/use-theme';
+
+const options = {
+  system: { label: 'theme.system', Icon: FaCircleHalfStroke },
+  light: { label: 'theme.light', Icon: FaSun },
+  dark: { label: 'theme.dark', Icon: FaMoon },
+};
+const order = Object.keys(options);
+
+// Cycles system → light → dark; the button shows the current choice
+const ThemeToggle = ({ className }) => {
+  const { preference, setPreference } = useTheme();
+  const { locale, t } = useLocale();
+  const { label, Icon } = options[preference];
+  const next = order[(order.indexOf(preference) + 1) % order.length];
+  const current = t(label);
+
+  return (
+    <button
+      type="button"
+      className={className}
+      title={t('theme.switch', { current, next: t(options[next].label).toLocaleLowerCase(locale) })}
+      onClick={() => setPreference(next)}
+    >
+      <Icon aria-hidden="true" /> {current}
+    </button>
+  );
+};
+
+export default ThemeToggle;
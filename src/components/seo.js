@@ -1,30 +1,86 @@
 import React from "react";
 import { useSiteMetadata } from "../hooks/use-site-metadata";
+import { missingFields, organization, website } from "../lib/seo/structured-data";
+import { ogImagePath } from "../lib/seo/og-image-path";
+import { alternatePaths, parseLocale } from "../lib/i18n/paths";
+import { locales } from "../config/locales";
 
-export const SEO = ({ title, description, pathname, children }) => {
-  const { title: defaultTitle, description: defaultDescription, image, siteUrl, twitterUsername } = useSiteMetadata();
+const isBuild = typeof window === "undefined";
+
+/**
+ * Page <head> tags: title, description, canonical URL, robots, Open Graph, Twitter card
+ * and JSON-LD. Use it from a page's `Head` export with `pathname={location.pathname}`.
+ *   image    path or absolute URL of the share image; defaults to the one generated
+ *            for this page at build time (gatsby/og-image.js)
+ *   type     og:type, "website" or "article"
+ *   noindex  keeps the page out of search results; indexed pages also link their copies
+ *            in the other locales (hreflang)
+ *   schema   JSON-LD objects (see lib/seo/structured-data.js), or a function given the
+ *            site metadata that returns them. The home page gets Organization and
+ *            WebSite on top. Missing required fields are warned about at build time.
+ * The locale (for <html lang> and the translated site metadata) comes from the pathname.
+ */
+export const SEO = ({ title, description, pathname, image, type = "website", noindex = false, schema, children }) => {
+  const path = pathname || "/";
+  const { locale, path: localPath } = parseLocale(path);
+  const { hreflang } = locales.find(({ code }) => code === locale);
+  const site = useSiteMetadata(locale);
+  const { title: defaultTitle, description: defaultDescription, siteUrl, twitterUsername } = site;
+  const imagePath = image || (pathname ? ogImagePath(pathname) : site.image);
 
   const seo = {
     title: title || defaultTitle,
     description: description || defaultDescription,
-    //image: `${siteUrl}${image}`,
-    url: `${siteUrl}${pathname || ``}`,
-    //twitterUsername,
+    image: imagePath && (/^https?:/.test(imagePath) ? imagePath : `${siteUrl}${imagePath}`),
+    url: `${siteUrl}${path}`,
+  };
+
+  const pageSchema = typeof schema === "function" ? schema(site) : schema || [];
+  const schemas = [
+    ...(localPath === "/" ? [organization(site), website(site)] : []),
+    ...pageSchema,
+  ];
+
+  if (isBuild) {
+    const missing = schemas.flatMap(missingFields);
+    if (!pathname) missing.push("pathname");
+    if (missing.length) console.warn(`[seo] ${path}: missing ${missing.join(", ")}`);
   }
 
   return (
     <>
+      <html lang={hreflang} />
       <title>{seo.title}</title>
       <meta name="description" content={seo.description} />
-      {/*<meta name="image" content={seo.image} />
+      <link rel="canonical" href={seo.url} />
+      {!noindex && alternatePaths(path).map((alternate) => (
+        <link key={alternate.hreflang} rel="alternate" hrefLang={alternate.hreflang} href={`${siteUrl}${alternate.path}`} />
+      ))}
+      <meta name="robots" content={noindex ? "noindex, nofollow" : "index, follow, max-image-preview:large"} />
+
+      <meta property="og:type" content={type} />
+      <meta property="og:site_name" content={defaultTitle} />
+      <meta property="og:title" content={seo.title} />
+      <meta property="og:description" content={seo.description} />
+      <meta property="og:url" content={seo.url} />
+      {seo.image && <meta property="og:image" content={seo.image} />}
+
       <meta name="twitter:card" content="summary_large_image" />
       <meta name="twitter:title" content={seo.title} />
-      <meta name="twitter:url" content={seo.url} />
       <meta name="twitter:description" content={seo.description} />
-      <meta name="twitter:image" content={seo.image} />
-      <meta name="twitter:creator" content={seo.twitterUsername} />
-      <link rel="icon" href="data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='0.9em' font-size='90'>👤</text></svg>" />*/}
+      {seo.image && <meta name="twitter:image" content={seo.image} />}
+      {twitterUsername && <meta name="twitter:site" content={`@${twitterUsername}`} />}
+      {twitterUsername && <meta name="twitter:creator" content={`@${twitterUsername}`} />}
+
+      {schemas.length > 0 && (
+        <script
+          type="application/ld+json"
+          dangerouslySetInnerHTML={{
+            __html: JSON.stringify({ "@context": "https://schema.org", "@graph": schemas }).replace(/</g, "\\u003c"),
+          }}
+        />
+      )}
       {children}
     </>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,3 @@
+// Google tag (GA4) measurement ID. The tag is only loaded once a visitor consents,
+// see src/lib/analytics/gtag.js.
+export const GTAG_ID = "G-5KHWNQ8QW0";
@@ -0,0 +1,23 @@
+import { defaultTheme, themes } from "./tokens";
+
+// DiamondBackground colours for a theme from src/config/tokens.js; pages pass this to
+// the background's setPalette() when the theme changes
+export const backgroundPalette = (theme) => ({
+    diamondColor: themes[theme].diamond,
+    accentColor: themes[theme].highlight,
+});
+
+// DiamondBackground props for the home page. gatsby-ssr.js renders the build-time
+// poster from this same object, so the poster and the live canvas can't drift apart.
+export const homeBackground = {
+    diamondSize: 20,
+    gap: 24,
+    speed: 10,
+    ...backgroundPalette(defaultTheme),
+    highlightCount: 16,
+    highlightEveryMs: 10000,
+    opacity: 1,
+    targetFps: 0,
+    direction: "SW_NE",   // flip to "NE_SW" if you want the opposite diagonal
+    renderer: "auto",     // "webgl" | "2d" | "auto"
+};
@@ -0,0 +1,39 @@
+// Languages the site is published in. The default locale is served from /, every other
+// one from /<code>/ (see src/lib/i18n/paths.js). CommonJS so gatsby-config.js and
+// gatsby-node.js can read it too.
+//   hreflang      the language tag used for <html lang> and the hreflang alternates
+//   intl          the tag Intl formats dates and picks plural forms with
+//   name          how the language switcher labels it, in that language
+//   siteMetadata  what replaces gatsby-config.js's siteMetadata on that locale's pages
+//   feedTitle     the title of that locale's Insights feeds (gatsby/feeds.js)
+// Interface strings live in src/locales/<code>.js and content in <name>.<code>.md next to
+// the default file. Restart `gatsby develop` after changing anything here.
+
+const locales = [
+    {
+        code: "en",
+        hreflang: "en",
+        intl: "en-GB",
+        name: "English",
+        feedTitle: "38 South Insights",
+        siteMetadata: {
+            title: "38 South",
+            description: "Elevating products and inspiring teams - leverage our experience to win.",
+        },
+    },
+    {
+        code: "ko",
+        hreflang: "ko",
+        intl: "ko-KR",
+        name: "한국어",
+        feedTitle: "38 South 인사이트",
+        siteMetadata: {
+            title: "38 South",
+            description: "제품의 가치를 높이고 팀에 영감을 줍니다. 우리의 경험으로 성공하세요.",
+        },
+    },
+];
+
+const defaultLocale = "en";
+
+module.exports = { locales, defaultLocale };
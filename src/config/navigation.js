@@ -0,0 +1,11 @@
+// Header links. `label` is a message key (src/locales/) and `to` the default locale's
+// path; the header localizes both. `section` marks a home page section (see <Section>):
+// on the home page the link scrolls to it and is highlighted while it's being read.
+export const navigation = [
+    { label: "nav.services", to: "/#services", section: "services" },
+    { label: "nav.work", to: "/work" },
+    { label: "nav.insights", to: "/insights" },
+    { label: "nav.contact", to: "/#contact", section: "contact" },
+];
+
+export const sectionIds = navigation.filter((item) => item.section).map((item) => item.section);
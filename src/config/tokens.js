@@ -0,0 +1,93 @@
+// Design tokens: the one place brand values live. CommonJS so the build tooling can
+// read it too. From here:
+//   - gatsby/tokens.js generates src/scss/_tokens.scss (SCSS variables, and mixins with
+//     the CSS custom properties global.scss puts on :root per theme)
+//   - tailwind.config.js extends Tailwind's theme (themed colours go through the
+//     custom properties, so utilities follow the theme too)
+//   - src/config/background.js takes the DiamondBackground colours per theme
+//   - gatsby-config.js takes the manifest colours
+// Restart `gatsby develop` after changing anything here.
+
+const palette = {
+    orange: "#ff7a00",      // background highlights
+    coral: "#f87d55",       // UI accent on dark
+    rust: "#c2410c",        // UI accent on light (coral is too faint there)
+    black: "#000000",
+    ink: "#0d0d0d",
+    graphite: "#121212",
+    white: "#ffffff",
+    paper: "#f6f4f0",
+    mist: "#e2ded7",
+};
+
+// Same keys in every theme; each becomes --color-<kebab-case key>
+const themes = {
+    dark: {
+        background: palette.black,
+        surface: palette.ink,
+        text: palette.white,
+        textMuted: "rgba(255, 255, 255, 0.6)",
+        border: "rgba(255, 255, 255, 0.3)",
+        borderSubtle: "rgba(255, 255, 255, 0.15)",
+        overlay: "rgba(0, 0, 0, 0.6)",
+        backdrop: "rgba(0, 0, 0, 0.7)",
+        accent: palette.coral,
+        accentSoft: "rgba(248, 125, 85, 0.15)",
+        diamond: palette.graphite,
+        highlight: palette.orange,
+    },
+    light: {
+        background: palette.paper,
+        surface: palette.white,
+        text: palette.ink,
+        textMuted: "rgba(13, 13, 13, 0.65)",
+        border: "rgba(13, 13, 13, 0.3)",
+        borderSubtle: "rgba(13, 13, 13, 0.12)",
+        overlay: "rgba(255, 255, 255, 0.7)",
+        backdrop: "rgba(246, 244, 240, 0.85)",
+        accent: palette.rust,
+        accentSoft: "rgba(194, 65, 12, 0.12)",
+        diamond: palette.mist,
+        highlight: palette.orange,
+    },
+};
+
+const defaultTheme = "dark";
+
+const spacing = {
+    xs: "0.25rem",
+    sm: "0.5rem",
+    md: "1rem",
+    lg: "2rem",
+    xl: "4rem",
+};
+
+const radius = {
+    sm: "4px",
+    md: "12px",
+    pill: "56px",
+    round: "50%",
+};
+
+const font = {
+    family: {
+        display: "Raleway, sans-serif",
+        body: "'Noto Sans', sans-serif",
+    },
+    size: {
+        sm: "0.875rem",
+        base: "1rem",
+        lg: "1.2rem",
+        xl: "1.5rem",
+        "2xl": "2rem",
+    },
+};
+
+// Durations in ms (plain numbers, so JS timers can use them as-is)
+const motion = {
+    fast: 250,
+    base: 400,
+    slow: 600,
+};
+
+module.exports = { palette, themes, defaultTheme, spacing, radius, font, motion };
@@ -0,0 +1,76 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react"
+import { deniedChoice, grantedChoice, readConsent, saveConsent, STORAGE_KEY } from "../lib/analytics/consent"
+import { applyConsent } from "../lib/analytics/gtag"
+import { setTrackingConsent } from "../lib/analytics/track"
+
+// Visitor's cookie consent, shared by every page (see wrapRootElement in
+// gatsby-browser.js / gatsby-ssr.js):
+//   choice           { analytics, marketing }, or null until the visitor decides
+//   ready            the stored choice has been read (false during SSR and hydration)
+//   preferencesOpen  the preferences dialog is showing
+// Saving a choice updates Consent Mode, loads the Google tag if anything is granted
+// and releases or drops the events track() has queued.
+
+const ConsentContext = createContext({
+  choice: null,
+  ready: false,
+  preferencesOpen: false,
+  save: () => {},
+  acceptAll: () => {},
+  rejectAll: () => {},
+  openPreferences: () => {},
+  closePreferences: () => {},
+})
+
+function apply(choice) {
+  applyConsent(choice)
+  setTrackingConsent(choice.analytics)
+}
+
+export const ConsentProvider = ({ children }) => {
+  const [choice, setChoice] = useState(null)
+  const [ready, setReady] = useState(false)
+  const [preferencesOpen, setPreferencesOpen] = useState(false)
+
+  useEffect(() => {
+    const restore = () => {
+      const stored = readConsent()
+      setChoice(stored)
+      if (stored) apply(stored)
+    }
+    restore()
+    setReady(true)
+
+    const onStorage = (e) => {
+      if (e.key === STORAGE_KEY) restore()
+    }
+    window.addEventListener("storage", onStorage)
+    return () => window.removeEventListener("storage", onStorage)
+  }, [])
+
+  const save = useCallback((next) => {
+    saveConsent(next)
+    setChoice(next)
+    setPreferencesOpen(false)
+    apply(next)
+  }, [])
+
+  const value = useMemo(() => ({
+    choice,
+    ready,
+    preferencesOpen,
+    save,
+    acceptAll: () => save(grantedChoice),
+    rejectAll: () => save(deniedChoice),
+    openPreferences: () => setPreferencesOpen(true),
+    closePreferences: () => setPreferencesOpen(false),
+  }), [choice, ready, preferencesOpen, save])
+
+  return (
+    <ConsentContext.Provider value={value}>
+      {children}
+    </ConsentContext.Provider>
+  )
+}
+
+export const useConsent = () => useContext(ConsentContext)
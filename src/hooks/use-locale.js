@@ -0,0 +1,33 @@
+import React, { createContext, useContext, useMemo } from "react"
+import { defaultLocale } from "../config/locales"
+import { localizePath } from "../lib/i18n/paths"
+import { dateFormatter, translator } from "../lib/i18n/translate"
+
+// The current page's locale (src/config/locales.js), set per page from its
+// pageContext by wrapPageElement in gatsby-browser.js / gatsby-ssr.js:
+//   locale    "en", "ko", ...
+//   t         translates an interface string (lib/i18n/translate.js)
+//   localize  moves a default-locale path into this locale: "/work" -> "/ko/work"
+//   formatDate  an ISO date in this locale's words (lib/i18n/translate.js)
+// Head exports render outside it; they use translator(pageContext.locale) instead.
+
+const value = (locale) => ({
+  locale,
+  t: translator(locale),
+  localize: (path) => localizePath(path, locale),
+  formatDate: dateFormatter(locale),
+})
+
+const LocaleContext = createContext(value(defaultLocale))
+
+export const LocaleProvider = ({ locale = defaultLocale, children }) => {
+  const current = useMemo(() => value(locale), [locale])
+
+  return (
+    <LocaleContext.Provider value={current}>
+      {children}
+    </LocaleContext.Provider>
+  )
+}
+
+export const useLocale = () => useContext(LocaleContext)
@@ -0,0 +1,79 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react"
+
+// Visitor's motion settings, shared by every page (see wrapRootElement in
+// gatsby-browser.js / gatsby-ssr.js):
+//   prefersReducedMotion  the OS-level prefers-reduced-motion setting
+//   paused                background animation stopped by the visitor (WCAG 2.2.2)
+//   highlights            accent highlights on the background
+// `paused` and `highlights` are remembered in localStorage and kept in sync across tabs.
+
+const STORAGE_KEY = "38south:motion"
+const defaults = { paused: false, highlights: true }
+
+const MotionPreferenceContext = createContext({
+  ...defaults,
+  prefersReducedMotion: false,
+  setPaused: () => {},
+  setHighlights: () => {},
+})
+
+function readStored() {
+  try {
+    return { ...defaults, ...JSON.parse(window.localStorage.getItem(STORAGE_KEY)) }
+  } catch {
+    return defaults
+  }
+}
+
+export const usePrefersReducedMotion = () => {
+  const [prefers, setPrefers] = useState(false)
+  useEffect(() => {
+    const mq = window.matchMedia("(prefers-reduced-motion: reduce)")
+    const onChange = () => setPrefers(!!mq.matches)
+    onChange()
+    mq.addEventListener?.("change", onChange)
+    return () => mq.removeEventListener?.("change", onChange)
+  }, [])
+  return prefers
+}
+
+export const MotionPreferenceProvider = ({ children }) => {
+  const prefersReducedMotion = usePrefersReducedMotion()
+  // Starts from the defaults so the server render and hydration agree
+  const [stored, setStored] = useState(defaults)
+
+  useEffect(() => {
+    setStored(readStored())
+    const onStorage = (e) => {
+      if (e.key === STORAGE_KEY) setStored(readStored())
+    }
+    window.addEventListener("storage", onStorage)
+    return () => window.removeEventListener("storage", onStorage)
+  }, [])
+
+  const value = useMemo(() => {
+    const update = (patch) => setStored((current) => {
+      const next = { ...current, ...patch }
+      try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next))
+      } catch {
+        // Private mode or storage disabled: the choice still holds for this visit
+      }
+      return next
+    })
+    return {
+      ...stored,
+      prefersReducedMotion,
+      setPaused: (paused) => update({ paused }),
+      setHighlights: (highlights) => update({ highlights }),
+    }
+  }, [stored, prefersReducedMotion])
+
+  return (
+    <MotionPreferenceContext.Provider value={value}>
+      {children}
+    </MotionPreferenceContext.Provider>
+  )
+}
+
+export const useMotionPreference = () => useContext(MotionPreferenceContext)
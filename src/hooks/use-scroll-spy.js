@@ -0,0 +1,30 @@
+import { useEffect, useState } from "react"
+
+// Which of the elements with `ids` (in page order) is being read: the first one that
+// overlaps the top part of the viewport, from `offset` px down (below a sticky header)
+// to the middle. Null when none is, or while `enabled` is false.
+export const useScrollSpy = (ids, { enabled = true, offset = 0 } = {}) => {
+  const [active, setActive] = useState(null)
+  // Compared by value, so callers needn't keep the same `ids` array between renders
+  const key = ids.join(",")
+
+  useEffect(() => {
+    setActive(null)
+    if (!enabled) return
+
+    const elements = key.split(",").map((id) => document.getElementById(id)).filter(Boolean)
+    const visible = new Set()
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(({ target, isIntersecting }) => {
+        if (isIntersecting) visible.add(target)
+        else visible.delete(target)
+      })
+      setActive(elements.find((element) => visible.has(element))?.id ?? null)
+    }, { rootMargin: `-${offset}px 0px -50% 0px` })
+
+    elements.forEach((element) => observer.observe(element))
+    return () => observer.disconnect()
+  }, [key, enabled, offset])
+
+  return active
+}
@@ -1,6 +1,11 @@
 import { graphql, useStaticQuery } from "gatsby"
+import { useLocale } from "./use-locale"
 
-export const useSiteMetadata = () => {
+// siteMetadata from gatsby-config.js, with the given locale's translations on top
+// (src/config/locales.js). Defaults to the current page's locale; SEO passes the one
+// from its pathname, since Head renders outside the locale provider.
+export const useSiteMetadata = (locale) => {
+  const current = useLocale().locale
   const data = useStaticQuery(graphql`
     query {
       site {
@@ -8,10 +13,19 @@ export const useSiteMetadata = () => {
           title
           description
           siteUrl
+          image
+          twitterUsername
+          locales {
+            code
+            title
+            description
+          }
         }
       }
     }
   `)
 
-  return data.site.siteMetadata
-}
\ No newline at end of file
+  const { locales, ...siteMetadata } = data.site.siteMetadata
+  const { code, ...translated } = locales.find((entry) => entry.code === (locale || current)) || {}
+  return { ...siteMetadata, ...translated, locale: code || current }
+}
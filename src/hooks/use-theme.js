@@ -0,0 +1,71 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react"
+import { defaultTheme } from "../config/tokens"
+import {
+  LIGHT_QUERY,
+  readPreference,
+  resolveTheme,
+  savePreference,
+  STORAGE_KEY,
+} from "../lib/theme/preference"
+
+// Visitor's colour theme, shared by every page (see wrapRootElement in
+// gatsby-browser.js / gatsby-ssr.js):
+//   preference     "system", "light" or "dark", as chosen with <ThemeToggle>
+//   theme          what that resolves to, "light" or "dark"
+// The head script from lib/theme/preference.js sets <html data-theme> before paint;
+// this keeps it up to date, remembers the choice and syncs it across tabs.
+
+const ThemeContext = createContext({
+  preference: "system",
+  theme: defaultTheme,
+  setPreference: () => {},
+})
+
+export const ThemeProvider = ({ children }) => {
+  // Starts from the defaults so the server render and hydration agree
+  const [preference, setPreferenceState] = useState("system")
+  const [prefersLight, setPrefersLight] = useState(false)
+  const [ready, setReady] = useState(false)
+
+  useEffect(() => {
+    setPreferenceState(readPreference())
+    setReady(true)
+    const mq = window.matchMedia(LIGHT_QUERY)
+    const onChange = () => setPrefersLight(!!mq.matches)
+    onChange()
+    mq.addEventListener?.("change", onChange)
+
+    const onStorage = (e) => {
+      if (e.key === STORAGE_KEY) setPreferenceState(readPreference())
+    }
+    window.addEventListener("storage", onStorage)
+    return () => {
+      mq.removeEventListener?.("change", onChange)
+      window.removeEventListener("storage", onStorage)
+    }
+  }, [])
+
+  const theme = resolveTheme(preference, prefersLight)
+
+  // Not before the stored preference is read, or it would undo the head script
+  useEffect(() => {
+    if (ready) document.documentElement.setAttribute("data-theme", theme)
+  }, [ready, theme])
+
+  const value = useMemo(() => ({
+    preference,
+    theme,
+    setPreference: (next) => {
+      savePreference(next)
+      setPreferenceState(next)
+    },
+  }), [preference, theme])
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  )
+}
+
+export const useTheme = () => useContext(ThemeContext)
@@ -0,0 +1,58 @@
+// Cookie consent categories and how a visitor's choice is stored. Necessary storage
+// (the choice itself, motion settings) needs no consent and isn't listed.
+
+export const STORAGE_KEY = "38south:consent";
+
+// Bump when categories change meaning, so everyone is asked again
+export const CONSENT_VERSION = 1;
+
+/**
+ * Each category maps to the Google Consent Mode signals it grants. Its label and
+ * description are messages, `consent.<name>.label` and `.description` (src/locales/).
+ * https://developers.google.com/tag-platform/security/guides/consent
+ */
+export const consentCategories = {
+    analytics: {
+        signals: ["analytics_storage"],
+    },
+    marketing: {
+        signals: ["ad_storage", "ad_user_data", "ad_personalization"],
+    },
+};
+
+// Nothing granted; what everyone starts with and what "Reject all" saves
+export const deniedChoice = Object.fromEntries(Object.keys(consentCategories).map((name) => [name, false]));
+export const grantedChoice = Object.fromEntries(Object.keys(consentCategories).map((name) => [name, true]));
+
+// The stored choice ({ analytics, marketing }), or null if the visitor hasn't made one
+// (or made it for an older version of the categories)
+export function readConsent() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        if (!stored || stored.version !== CONSENT_VERSION) return null;
+        return Object.fromEntries(Object.keys(consentCategories).map((name) => [name, stored.choice[name] === true]));
+    } catch {
+        return null;
+    }
+}
+
+export function saveConsent(choice) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            version: CONSENT_VERSION,
+            choice,
+            savedAt: new Date().toISOString(),
+        }));
+    } catch {
+        // Storage disabled: the choice holds for this visit and the banner comes back next time
+    }
+}
+
+// Consent Mode signals for a choice, e.g. { analytics_storage: "granted", ad_storage: "denied", ... }
+export function consentSignals(choice) {
+    const signals = {};
+    for (const [name, { signals: names }] of Object.entries(consentCategories)) {
+        for (const signal of names) signals[signal] = choice && choice[name] ? "granted" : "denied";
+    }
+    return signals;
+}
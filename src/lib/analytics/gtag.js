@@ -0,0 +1,59 @@
+import { GTAG_ID } from "../../config/analytics";
+import { CONSENT_VERSION, consentCategories, consentSignals, deniedChoice, STORAGE_KEY } from "./consent";
+
+// Google tag with Consent Mode. gatsby-ssr.js puts consentDefaultsScript() in every
+// page's <head>, so dataLayer exists and everything defaults to denied before any
+// other script runs. gtag.js itself is only fetched once something is granted.
+
+let loaded = false;
+
+export function gtag() {
+    window.dataLayer = window.dataLayer || [];
+    // gtag.js only recognises the arguments object, not an array, so no rest params here
+    window.dataLayer.push(arguments);
+}
+
+// GA's own cookies (_ga, _ga_<id>) outlive a withdrawn consent; Consent Mode only
+// stops new ones being written. GA sets them on the top-level domain.
+function clearAnalyticsCookies() {
+    const domain = window.location.hostname.split(".").slice(-2).join(".");
+    for (const cookie of document.cookie.split(";")) {
+        const name = cookie.split("=")[0].trim();
+        if (!name.startsWith("_ga")) continue;
+        for (const scope of ["", `; domain=.${domain}`]) {
+            document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${scope}`;
+        }
+    }
+}
+
+// Sends the visitor's choice to Consent Mode and loads the tag if anything is granted
+export function applyConsent(choice) {
+    gtag("consent", "update", consentSignals(choice));
+    if (!choice.analytics) clearAnalyticsCookies();
+    if (loaded || !Object.values(choice).some(Boolean)) return;
+
+    loaded = true;
+    const script = document.createElement("script");
+    script.async = true;
+    script.src = `https://www.googletagmanager.com/gtag/js?id=${GTAG_ID}`;
+    document.head.appendChild(script);
+    gtag("js", new Date());
+    // Page views are sent by onRouteUpdate in gatsby-browser.js, through track()
+    gtag("config", GTAG_ID, { send_page_view: false });
+}
+
+/**
+ * Inline <head> script: sets up dataLayer, defaults every signal to denied and, for a
+ * returning visitor, replays their stored choice so the update is in place before
+ * the page's own code loads.
+ */
+export function consentDefaultsScript() {
+    const denied = JSON.stringify(consentSignals(deniedChoice));
+    const categories = JSON.stringify(
+        Object.fromEntries(Object.entries(consentCategories).map(([name, { signals }]) => [name, signals]))
+    );
+    return `window.dataLayer=window.dataLayer||[];function gtag(){dataLayer.push(arguments);}
+gtag("consent","default",Object.assign(${denied},{wait_for_update:500}));
+try{var s=JSON.parse(localStorage.getItem(${JSON.stringify(STORAGE_KEY)})),c=${categories},u={};
+if(s&&s.version===${CONSENT_VERSION}){for(var k in c)for(var i=0;i<c[k].length;i++)u[c[k][i]]=s.choice[k]===true?"granted":"denied";gtag("consent","update",u);}}catch(e){}`;
+}
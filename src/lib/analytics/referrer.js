@@ -0,0 +1,14 @@
+// The URL the visitor came to the current page from. document.referrer only covers the
+// first page load: after a client-side navigation it still names whatever linked to
+// the site, so gatsby-browser.js hands over Gatsby's prevLocation on every route change.
+
+let previous = null;
+
+// `prevLocation` as Gatsby passes it to onPreRouteUpdate; null on the first page load
+export function setPreviousLocation(prevLocation) {
+    previous = prevLocation ? `${window.location.origin}${prevLocation.pathname}${prevLocation.search}` : null;
+}
+
+export function referrer() {
+    return previous ?? document.referrer;
+}
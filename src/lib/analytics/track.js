@@ -0,0 +1,31 @@
+import { gtag } from "./gtag";
+
+// Analytics events from anywhere on the site. Until the visitor decides, events wait
+// in a queue; granting analytics sends them, refusing drops them (and anything after).
+
+const MAX_QUEUED = 50;
+
+let state = "pending"; // pending | granted | denied
+let queue = [];
+
+/**
+ * Sends a GA4 event, e.g. track("page_not_found", { page_path }). Safe to call
+ * during the build or before consent; it never throws.
+ */
+export function track(event, params = {}) {
+    if (typeof window === "undefined" || state === "denied") return;
+    if (state === "granted") {
+        gtag("event", event, params);
+        return;
+    }
+    // Keep the first events of the visit (the landing page view matters most)
+    if (queue.length < MAX_QUEUED) queue.push([event, params]);
+}
+
+// Called by the consent provider whenever the analytics choice is known or changes
+export function setTrackingConsent(granted) {
+    state = granted ? "granted" : "denied";
+    const pending = queue;
+    queue = [];
+    if (granted) pending.forEach(([event, params]) => gtag("event", event, params));
+}
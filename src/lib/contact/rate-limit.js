@@ -0,0 +1,29 @@
+/**
+ * Sliding-window limiter: at most `limit` hits per key within `windowMs`.
+ * In memory, so it's per function instance; good enough to slow down a script
+ * hammering the form, not a replacement for a WAF.
+ */
+export function createRateLimiter({ limit, windowMs }) {
+    const hits = new Map(); // key -> timestamps, oldest first
+
+    return {
+        // Records a hit for `key`; `retryAfterMs` is set when it's over the limit
+        check(key, now = Date.now()) {
+            const recent = (hits.get(key) || []).filter((t) => now - t < windowMs);
+            if (recent.length >= limit) {
+                hits.set(key, recent);
+                return { allowed: false, retryAfterMs: windowMs - (now - recent[0]) };
+            }
+            recent.push(now);
+            hits.set(key, recent);
+
+            // Drop idle keys now and then so the map doesn't grow forever
+            if (hits.size > 1000) {
+                for (const [k, times] of hits) {
+                    if (now - times[times.length - 1] >= windowMs) hits.delete(k);
+                }
+            }
+            return { allowed: true, retryAfterMs: 0 };
+        },
+    };
+}
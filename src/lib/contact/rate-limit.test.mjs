@@ -0,0 +1,40 @@
+// Unit tests for rate-limit.js; run with `npm test`.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createRateLimiter } from "./rate-limit.js";
+
+const windowMs = 60_000;
+
+describe("createRateLimiter", () => {
+    it("allows `limit` hits in the window and blocks the next", () => {
+        const limiter = createRateLimiter({ limit: 3, windowMs });
+        for (const now of [0, 1000, 2000]) {
+            assert.deepEqual(limiter.check("a", now), { allowed: true, retryAfterMs: 0 });
+        }
+        // The oldest hit leaves the window at 60000
+        assert.deepEqual(limiter.check("a", 10_000), { allowed: false, retryAfterMs: 50_000 });
+    });
+
+    it("doesn't count blocked hits", () => {
+        const limiter = createRateLimiter({ limit: 1, windowMs });
+        limiter.check("a", 0);
+        limiter.check("a", 30_000);
+        assert.equal(limiter.check("a", windowMs).allowed, true);
+    });
+
+    it("slides: each hit frees up when it's windowMs old", () => {
+        const limiter = createRateLimiter({ limit: 2, windowMs });
+        limiter.check("a", 0);
+        limiter.check("a", 20_000);
+        assert.equal(limiter.check("a", windowMs - 1).allowed, false);
+        assert.equal(limiter.check("a", windowMs).allowed, true);
+        assert.deepEqual(limiter.check("a", windowMs + 1), { allowed: false, retryAfterMs: 19_999 });
+    });
+
+    it("keeps keys apart", () => {
+        const limiter = createRateLimiter({ limit: 1, windowMs });
+        assert.equal(limiter.check("a", 0).allowed, true);
+        assert.equal(limiter.check("b", 0).allowed, true);
+        assert.equal(limiter.check("a", 1).allowed, false);
+    });
+});
@@ -0,0 +1,51 @@
+// With the extension, so `npm test` can load this file in plain Node too
+import { translator } from "../i18n/translate.js";
+
+// Contact form fields, validated the same way in the browser (for instant feedback)
+// and in src/api/contact.js (the one that counts). Labels and messages are keys into
+// src/locales/, so both ends word errors in the visitor's language.
+
+export const HONEYPOT_FIELD = "website"; // hidden from people; bots fill it in
+export const MIN_FILL_MS = 3000; // faster than this from issuing the form's token to submit is a bot
+
+// A plain addr-spec: dot-separated atoms of RFC 5322 atext before the @ and DNS labels
+// after it. No quoted local parts, comments, display names or IP literals, so nothing
+// that could close or add to an address header (<, >, comma, quotes, whitespace).
+const EMAIL =
+    /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?\.)+[A-Za-z]{2,}$/;
+
+export const contactFields = {
+    name: { label: "contact.field.name", required: true, maxLength: 100 },
+    email: { label: "contact.field.email", required: true, maxLength: 200, pattern: EMAIL, patternMessage: "contact.error.email" },
+    company: { label: "contact.field.company", required: false, maxLength: 100 },
+    message: { label: "contact.field.message", required: true, minLength: 10, maxLength: 5000 },
+};
+
+/**
+ * Trims and checks the known fields, ignoring anything else in `input`.
+ * Returns { values, errors }, where errors maps field name -> message (worded by `t`,
+ * see lib/i18n/translate.js) and is empty when the submission is valid.
+ */
+export function validateContact(input = {}, t = translator()) {
+    const values = {};
+    const errors = {};
+
+    for (const [name, rule] of Object.entries(contactFields)) {
+        const field = t(rule.label);
+        const raw = input[name];
+        const value = typeof raw === "string" ? raw.trim() : "";
+        values[name] = value;
+
+        if (!value) {
+            if (rule.required) errors[name] = t("contact.error.required", { field });
+        } else if (rule.minLength && value.length < rule.minLength) {
+            errors[name] = t("contact.error.minLength", { field, count: rule.minLength });
+        } else if (value.length > rule.maxLength) {
+            errors[name] = t("contact.error.maxLength", { field, count: rule.maxLength });
+        } else if (rule.pattern && !rule.pattern.test(value)) {
+            errors[name] = t(rule.patternMessage);
+        }
+    }
+
+    return { values, errors };
+}
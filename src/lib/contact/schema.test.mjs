@@ -0,0 +1,70 @@
+// Unit tests for schema.js; run with `npm test`.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { translator } from "../i18n/translate.js";
+import { validateContact } from "./schema.js";
+
+const valid = { name: "Ada Lovelace", email: "ada@example.com", company: "", message: "Hello, about a project." };
+
+describe("validateContact", () => {
+    it("accepts a valid submission and trims values", () => {
+        const { values, errors } = validateContact({ ...valid, name: "  Ada Lovelace  " });
+        assert.deepEqual(errors, {});
+        assert.equal(values.name, "Ada Lovelace");
+    });
+
+    it("ignores fields it doesn't know", () => {
+        const { values } = validateContact({ ...valid, website: "spam", extra: 1 });
+        assert.deepEqual(Object.keys(values).sort(), ["company", "email", "message", "name"]);
+    });
+
+    it("requires name, email and message but not company", () => {
+        const { errors } = validateContact({ name: " ", company: "" });
+        assert.deepEqual(errors, {
+            name: "Name is required",
+            email: "Email is required",
+            message: "Message is required",
+        });
+    });
+
+    it("treats non-string values as empty", () => {
+        const { errors } = validateContact({ ...valid, name: ["Ada"] });
+        assert.equal(errors.name, "Name is required");
+    });
+
+    it("checks minimum and maximum lengths", () => {
+        assert.equal(validateContact({ ...valid, message: "Too short" }).errors.message, "Message needs at least 10 characters");
+        assert.equal(validateContact({ ...valid, name: "a".repeat(101) }).errors.name, "Name can be at most 100 characters");
+        assert.deepEqual(validateContact({ ...valid, name: "a".repeat(100) }).errors, {});
+    });
+
+    it("accepts plain addresses", () => {
+        for (const email of ["a@b.co", "first.last+tag@mail.example.org", "o'brien@example.ie"]) {
+            assert.deepEqual(validateContact({ ...valid, email }).errors, {}, email);
+        }
+    });
+
+    it("rejects anything that could change an address header", () => {
+        for (const email of [
+            "ada",
+            "ada@example",
+            "ada@@example.com",
+            ".ada@example.com",
+            "ada.@example.com",
+            "Ada <ada@example.com>",
+            "ada@example.com, eve@example.com",
+            "\"ada\"@example.com",
+            "ada@example.com>",
+            "ada lovelace@example.com",
+            "ada@-example.com",
+        ]) {
+            assert.equal(validateContact({ ...valid, email }).errors.email, "Enter a valid email address", email);
+        }
+    });
+
+    it("words errors with the translator it's given", () => {
+        const { errors } = validateContact({ ...valid, name: "", email: "nope" }, translator("ko"));
+        assert.equal(errors.name, "이름을(를) 입력해 주세요");
+        assert.equal(errors.email, "올바른 이메일 주소를 입력해 주세요");
+    });
+});
@@ -0,0 +1,36 @@
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+// Form tokens for src/api/contact.js: the time the form was handed out, signed, so the
+// "filled in too fast" check uses a time the server wrote rather than one the client
+// sends. Server only.
+//
+// Signed with CONTACT_SECRET; without it, a random secret per function instance, which
+// works but turns tokens issued by another instance (or before a restart) into
+// "please try again".
+
+export const TOKEN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const secret = process.env.CONTACT_SECRET || randomBytes(32).toString("hex");
+
+const sign = (issuedAt) => createHmac("sha256", secret).update(`contact:${issuedAt}`).digest("base64url");
+
+/** A token recording `now` as the moment the form was issued. */
+export function issueToken(now = Date.now()) {
+    return `${now}.${sign(now)}`;
+}
+
+/**
+ * How long ago `token` was issued, in ms, or null when it's malformed, forged, from
+ * the future or older than TOKEN_MAX_AGE_MS.
+ */
+export function tokenAge(token, now = Date.now()) {
+    const [issued, signature] = typeof token === "string" ? token.split(".") : [];
+    if (!/^\d+$/.test(issued || "") || !signature) return null;
+
+    const expected = Buffer.from(sign(Number(issued)));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+    const age = now - Number(issued);
+    return age >= 0 && age <= TOKEN_MAX_AGE_MS ? age : null;
+}
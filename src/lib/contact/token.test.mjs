@@ -0,0 +1,45 @@
+// Unit tests for token.js; run with `npm test`.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { TOKEN_MAX_AGE_MS, issueToken, tokenAge } from "./token.js";
+
+const issued = 1_700_000_000_000;
+
+describe("tokenAge", () => {
+    it("reads back how long ago a token was issued", () => {
+        const token = issueToken(issued);
+        assert.equal(tokenAge(token, issued), 0);
+        assert.equal(tokenAge(token, issued + 1500), 1500);
+    });
+
+    it("accepts a token up to TOKEN_MAX_AGE_MS old and no older", () => {
+        const token = issueToken(issued);
+        assert.equal(tokenAge(token, issued + TOKEN_MAX_AGE_MS), TOKEN_MAX_AGE_MS);
+        assert.equal(tokenAge(token, issued + TOKEN_MAX_AGE_MS + 1), null);
+    });
+
+    it("rejects a token from the future", () => {
+        assert.equal(tokenAge(issueToken(issued), issued - 1), null);
+    });
+
+    it("rejects a token whose time was changed", () => {
+        const [, signature] = issueToken(issued).split(".");
+        // An earlier time would make a bot look like it took its time over the form
+        assert.equal(tokenAge(`${issued - 60_000}.${signature}`, issued), null);
+    });
+
+    it("rejects a tampered or missing signature", () => {
+        const token = issueToken(issued);
+        const flipped = token.slice(0, -1) + (token.endsWith("A") ? "B" : "A");
+        assert.equal(tokenAge(flipped, issued), null);
+        assert.equal(tokenAge(`${token}x`, issued), null);
+        assert.equal(tokenAge(`${issued}.`, issued), null);
+        assert.equal(tokenAge(`${issued}`, issued), null);
+    });
+
+    it("rejects malformed input", () => {
+        for (const token of ["", ".", "abc.def", "-5.abc", "1.5.abc", undefined, null, 42, {}, ["1", "a"]]) {
+            assert.equal(tokenAge(token, issued), null, String(token));
+        }
+    });
+});
@@ -0,0 +1,91 @@
+import fs from "fs";
+import nodemailer from "nodemailer";
+
+// Where contact enquiries go. A transport is { name, send(enquiry) }, where enquiry is
+// the validated form values plus { receivedAt, ip }; send() resolves once delivered and
+// rejects otherwise. Picked by CONTACT_TRANSPORT:
+//   smtp     SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE, CONTACT_TO, CONTACT_FROM
+//            (point it at a local stand-in such as MailHog/smtp4dev on :1025 to test offline)
+//   webhook  CONTACT_WEBHOOK_URL receives the enquiry as a JSON POST
+//   file     appends one JSON line per enquiry to CONTACT_FILE (default contact.log)
+//   console  logs it; the default outside production
+
+function formatText(enquiry) {
+    const header = [
+        `Name: ${enquiry.name}`,
+        `Email: ${enquiry.email}`,
+        enquiry.company && `Company: ${enquiry.company}`,
+        `Received: ${enquiry.receivedAt}`,
+    ].filter(Boolean).join("\n");
+    return `${header}\n\n${enquiry.message}`;
+}
+
+export function createSmtpTransport(env) {
+    const mailer = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === "true",
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+    });
+
+    return {
+        name: "smtp",
+        async send(enquiry) {
+            await mailer.sendMail({
+                from: env.CONTACT_FROM || env.CONTACT_TO,
+                to: env.CONTACT_TO,
+                // An address object, so nodemailer does the quoting and encoding of the name
+                replyTo: { name: enquiry.name, address: enquiry.email },
+                subject: `Enquiry from ${enquiry.name}${enquiry.company ? ` (${enquiry.company})` : ""}`,
+                text: formatText(enquiry),
+            });
+        },
+    };
+}
+
+export function createWebhookTransport(env) {
+    return {
+        name: "webhook",
+        async send(enquiry) {
+            const res = await fetch(env.CONTACT_WEBHOOK_URL, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(enquiry),
+            });
+            if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+        },
+    };
+}
+
+export function createFileTransport(env) {
+    const file = env.CONTACT_FILE || "contact.log";
+    return {
+        name: "file",
+        async send(enquiry) {
+            await fs.promises.appendFile(file, `${JSON.stringify(enquiry)}\n`);
+        },
+    };
+}
+
+export function createConsoleTransport() {
+    return {
+        name: "console",
+        async send(enquiry) {
+            console.info(`[contact] enquiry\n${formatText(enquiry)}`);
+        },
+    };
+}
+
+const factories = {
+    smtp: createSmtpTransport,
+    webhook: createWebhookTransport,
+    file: createFileTransport,
+    console: createConsoleTransport,
+};
+
+export function createTransport(env = process.env) {
+    const name = env.CONTACT_TRANSPORT || (env.NODE_ENV === "production" ? "smtp" : "console");
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown CONTACT_TRANSPORT "${name}"`);
+    return factory(env);
+}
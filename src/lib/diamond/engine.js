@@ -0,0 +1,616 @@
+import {
+    cellKey, colAtX, createLattice, createRandom, follow, forEachVisibleCell,
+    latticeToScreen, screenToLattice, visibleRange,
+} from "./lattice";
+import { patterns } from "./patterns";
+import { resolveShape, shapeReach } from "./shapes";
+import { createWebglDiamondRenderer, MAX_RIPPLES, MAX_TRAIL } from "./webgl";
+
+// Works on the main thread and inside a dedicated worker (where rAF may be missing)
+const raf = typeof requestAnimationFrame === "function"
+    ? (cb) => requestAnimationFrame(cb)
+    : (cb) => setTimeout(() => cb(performance.now()), 16);
+const caf = typeof cancelAnimationFrame === "function"
+    ? (id) => cancelAnimationFrame(id)
+    : (id) => clearTimeout(id);
+
+const STATS_EVERY_MS = 500;
+
+// Adaptive quality: every GOVERN_EVERY_MS the measured frame interval is compared with
+// the one the current step asks for, and the step moves down (or, after a run of good
+// windows, back up). Each step is a ceiling on DPR and FPS (0 = display rate).
+const GOVERN_EVERY_MS = 2000;
+const QUALITY_STEPS = [
+    { dpr: 2, fps: 0 },
+    { dpr: 1.5, fps: 0 },
+    { dpr: 1, fps: 0 },
+    { dpr: 1, fps: 45 },
+    { dpr: 1, fps: 30 },
+];
+const SLOW_FRAME = 1.2; // step down when frames take this much longer than asked
+const FAST_FRAME = 1.05; // a window this close to the ask counts towards stepping up
+const MAX_UP_AFTER = 24; // most good windows a step-up can be made to wait for
+
+// 2D path: pointer glow is quantised to this many alpha levels, one fill each
+const GLOW_LEVELS = 8;
+
+/**
+ * Framework-free animation loop for DiamondBackground.
+ * `canvas` can be an HTMLCanvasElement or an OffscreenCanvas; nothing here touches
+ * the DOM, so the same engine runs in-thread or in `worker.js`.
+ *
+ * The context type is chosen once, from `props.renderer`, because a canvas can only
+ * ever hold one. Everything else can change later through `setProps()`. If the WebGL
+ * program fails to link, the canvas is left holding a WebGL context that 2D can't
+ * share: `renderer` is then null, nothing is drawn, and the host should start again on
+ * a fresh canvas with renderer "2d".
+ *
+ * Highlights come from `props.choreography`: steps of { pattern, params, color,
+ * duration, at? } played on a looping timeline. Without one, the `random` pattern
+ * runs forever with highlightCount/highlightEveryMs. `props.seed` makes the patterns'
+ * random() reproducible. `props.showHighlights === false` turns highlights off entirely.
+ *
+ * `props.targetFps` and the DPR passed to resize() (capped at 2) are ceilings: the
+ * frame governor steps both down to hold the frame rate on slow devices, and
+ * `props.lowPower` (Save-Data, low battery) pins them at 1× and 30 fps.
+ *
+ * Callbacks (all optional; the last three are gated by props.showStats / props.emit):
+ *   onDrawn() once, after the first frame is on the canvas
+ *   onStats({ frameMs, fps, cells, renderer, dpr, fpsCap })
+ *   onHighlights({ spawned, expired }) with [{ row, col, color, x, y }]
+ *   onFrame({ time, offset, highlights })
+ */
+export function createDiamondEngine(canvas, initialProps, { onDrawn, onStats, onHighlights, onFrame } = {}) {
+    let props = initialProps;
+    let reduced = false;
+    let palette = null; // setPalette() override: { diamondColor, accentColor }
+
+    const gl = props.renderer === "2d" ? null : createGl();
+    const ctx = gl ? null : canvas.getContext("2d", { alpha: true, desynchronized: true });
+    const drawable = !!(gl || ctx);
+
+    // Geometry (rebuilt by configure())
+    let lat = null; // see lattice.js
+    let spacing = 0;
+    let half = 0;
+    let reach = 0; // how far the tile extends from its centre, in px
+    let shape = null;
+
+    // Resize + coverage state
+    let w = 0, h = 0, dpr = 1;
+    let deviceDpr = 1; // from resize(); `dpr` is this after the governor's ceiling
+    let range = { rowStart: 0, rowEnd: 0, rowSpans: [] };
+
+    // Animation state
+    let rafId = 0;
+    let running = false;
+    let last = performance.now();
+    let acc = 0;
+
+    // Frame governor
+    let quality = 0; // index into QUALITY_STEPS
+    let governSince = 0;
+    let governFrames = 0;
+    let goodWindows = 0;
+    let upAfter = 3; // good windows needed to step up; doubles when a step up fails
+    let steppedUp = false;
+    let travelled = 0; // total slide along U, never wrapped
+    let off = 0; // even rows move +off along U, odd rows -off (or flipped via direction)
+    let highlights = new Map(); // cellKey -> {row, col, color}, rebuilt every frame
+
+    // Choreography timeline
+    let timeline = []; // steps with absolute { start, end } in ms
+    let timelineLength = Infinity;
+    let timelineSource = null; // serialised steps, to tell real changes from re-renders
+    let clock = 0; // ms into the timeline; frozen under reduced motion
+    let random = Math.random; // patterns' frame.random(), seeded by props.seed
+    let generators = new Map(); // step index -> generate(frame), while the step is active
+    let bursts = []; // one-off steps from burst(): { step, elapsed, generate }
+    let lit = new Map(); // identity -> highlight payload, for spawn/expire events
+
+    // Pointer interaction (props.interaction): live cursor, decaying trail, tap ripples.
+    // Positions are CSS px relative to the canvas; times use this context's clock.
+    let pointer = null; // {x, y}
+    let trail = []; // {x, y, t}
+    let ripples = []; // {x, y, t}
+    let glow = null; // per-frame snapshot: { points, rings, radius, ringWidth }
+
+    // Dev stats (only collected when props.showStats is set)
+    let statsSince = 0;
+    let statsFrames = 0;
+    let statsCost = 0;
+    let drawn = 0;
+    let hasDrawn = false;
+
+    function createGl() {
+        return createWebglDiamondRenderer(canvas, { ...glOptions(), strict: props.renderer === "auto" });
+    }
+
+    function glOptions() {
+        return {
+            ...createLattice(props),
+            shape: resolveShape(props.shape),
+            diamondSize: props.diamondSize,
+            ...colors(),
+            opacity: props.opacity,
+        };
+    }
+
+    function colors() {
+        return {
+            diamondColor: palette?.diamondColor || props.diamondColor,
+            accentColor: palette?.accentColor || props.accentColor,
+        };
+    }
+
+    function configure() {
+        // Geometry
+        lat = createLattice(props);
+        spacing = lat.spacing;
+        shape = resolveShape(props.shape);
+        half = props.diamondSize / 2;
+        reach = shapeReach(shape) * half;
+        if (props.showHighlights === false) highlights = new Map();
+
+        const steps = props.choreography?.length ? props.choreography : [{
+            pattern: "random",
+            duration: Infinity,
+            params: { count: props.highlightCount, everyMs: props.highlightEveryMs },
+        }];
+        const source = JSON.stringify([steps, props.seed]);
+        if (source !== timelineSource) {
+            timelineSource = source;
+            buildTimeline(steps);
+        }
+    }
+
+    // Steps run back to back unless they give an explicit `at`, which lets them overlap
+    function buildTimeline(steps) {
+        let cursor = 0;
+        timeline = steps.map((step) => {
+            const start = step.at ?? cursor;
+            const end = start + (step.duration ?? Infinity);
+            cursor = end;
+            return { ...step, start, end };
+        });
+        timelineLength = Math.max(...timeline.map((step) => step.end));
+        clock = 0;
+        generators = new Map();
+        random = createRandom(props.seed);
+    }
+
+    function view() {
+        return { width: w, height: h, offset: off };
+    }
+
+    // Work out, from the rotation, exactly which (row, col) cells can touch the screen
+    function computeVisibleRange(width, height) {
+        range = visibleRange(lat, width, height, reach);
+
+        if (gl) {
+            // The instance buffer is static, so cover the widest row plus a cell
+            // either side for the stagger and the (< spacing) row shift
+            const uLo = Math.min(...range.rowSpans.map(([lo]) => lo));
+            const uHi = Math.max(...range.rowSpans.map(([, hi]) => hi));
+            gl.setGrid(
+                range.rowStart, range.rowEnd,
+                Math.floor(uLo / spacing) - 2, Math.ceil(uHi / spacing) + 2
+            );
+        }
+    }
+
+    // Adds one tile, centred on (x, y), to the current path
+    function traceTile(x, y) {
+        for (const loop of shape.loops) {
+            ctx.moveTo(x + loop[0] * half, y + loop[1] * half);
+            for (let k = 2; k < loop.length; k += 2) ctx.lineTo(x + loop[k] * half, y + loop[k + 1] * half);
+            ctx.closePath();
+        }
+    }
+
+    function createGenerator(step) {
+        const factory = patterns[step.pattern];
+        if (!factory) console.warn(`DiamondBackground: unknown pattern "${step.pattern}"`);
+        return factory ? factory(step.params) : () => [];
+    }
+
+    function updateHighlights(dtMs) {
+        if (props.showHighlights === false) {
+            highlights = new Map();
+            bursts = [];
+            return;
+        }
+        if (!reduced) clock += dtMs;
+        if (clock >= timelineLength) {
+            clock %= timelineLength;
+            generators = new Map();
+        }
+
+        let visible = null;
+        const at = view();
+        const shared = {
+            width: w,
+            height: h,
+            spacing,
+            travelled,
+            random,
+            cells() {
+                if (!visible) {
+                    visible = [];
+                    forEachVisibleCell(lat, at, range, (row, col, x, y) => visible.push({ row, col, x, y }));
+                }
+                return visible;
+            },
+            cellAt: (x, y) => screenToLattice(lat, at, x, y),
+            colAtX: (row, x) => colAtX(lat, at, row, x),
+            follow: (anchor) => follow(lat, anchor, travelled),
+        };
+
+        const run = (step, generate, elapsed, duration) => {
+            const cells = generate({
+                ...shared,
+                elapsed,
+                progress: Number.isFinite(duration) ? elapsed / duration : 0,
+            });
+            const color = step.color || colors().accentColor;
+            for (const { row, col } of cells) {
+                highlights.set(cellKey(row, col), { row, col, color });
+            }
+        };
+
+        highlights = new Map();
+        timeline.forEach((step, i) => {
+            if (clock < step.start || clock >= step.end) {
+                generators.delete(i);
+                return;
+            }
+            if (!generators.has(i)) generators.set(i, createGenerator(step));
+            run(step, generators.get(i), clock - step.start, step.end - step.start);
+        });
+
+        // Bursts are user-triggered, so they keep time even under reduced motion
+        bursts = bursts.filter((burst) => {
+            burst.elapsed += dtMs;
+            if (burst.elapsed >= burst.step.duration) return false;
+            run(burst.step, burst.generate, burst.elapsed, burst.step.duration);
+            return true;
+        });
+    }
+
+    // Diffs this frame's highlights against the last one. Identity ignores the column
+    // hop follow() does on each wrap, so a diamond riding along isn't re-reported.
+    function emitHighlightChanges() {
+        const at = view();
+        const next = new Map();
+        for (const { row, col, color } of highlights.values()) {
+            // Where this diamond sat before it travelled at all
+            const home = follow(lat, { row, col, travelled }, 0);
+            next.set(cellKey(row, home.col), { row, col, color, ...latticeToScreen(lat, at, row, col) });
+        }
+
+        const spawned = [];
+        const expired = [];
+        for (const [identity, cell] of next) if (!lit.has(identity)) spawned.push(cell);
+        for (const [identity, cell] of lit) if (!next.has(identity)) expired.push(cell);
+        lit = next;
+
+        if (spawned.length || expired.length) onHighlights({ spawned, expired });
+    }
+
+    // Lowest non-zero of the prop, the governor's step and the low-power cap
+    function fpsCeiling() {
+        const caps = [props.targetFps, QUALITY_STEPS[quality].fps, props.lowPower ? 30 : 0];
+        const set = caps.filter((fps) => fps > 0);
+        return set.length ? Math.min(...set) : 0;
+    }
+
+    function dprCeiling() {
+        return Math.min(deviceDpr, QUALITY_STEPS[quality].dpr, props.lowPower ? 1 : Infinity);
+    }
+
+    function setQuality(next) {
+        quality = next;
+        goodWindows = 0;
+        const nextDpr = dprCeiling();
+        if (nextDpr !== dpr) {
+            dpr = nextDpr;
+            if (w && h) applySize();
+        }
+    }
+
+    function govern(now) {
+        governFrames++;
+        if (now - governSince < GOVERN_EVERY_MS) return;
+        const interval = (now - governSince) / governFrames;
+        const fps = fpsCeiling();
+        const asked = 1000 / (fps || 60);
+        governSince = now;
+        governFrames = 0;
+
+        if (interval > asked * SLOW_FRAME) {
+            // Falling straight back after a step up: wait longer before the next try
+            if (steppedUp) upAfter = Math.min(MAX_UP_AFTER, upAfter * 2);
+            steppedUp = false;
+            if (quality < QUALITY_STEPS.length - 1) setQuality(quality + 1);
+        } else if (interval < asked * FAST_FRAME && quality > 0) {
+            steppedUp = false;
+            if (++goodWindows >= upAfter) {
+                steppedUp = true;
+                setQuality(quality - 1);
+            }
+        } else {
+            steppedUp = false;
+        }
+    }
+
+    function reportStats(now, cost) {
+        statsFrames++;
+        statsCost += cost;
+        if (now - statsSince < STATS_EVERY_MS) return;
+        onStats({
+            frameMs: statsCost / statsFrames,
+            fps: (statsFrames * 1000) / (now - statsSince),
+            cells: drawn,
+            renderer: gl ? "webgl" : "2d",
+            dpr,
+            fpsCap: fpsCeiling(),
+        });
+        statsSince = now;
+        statsFrames = 0;
+        statsCost = 0;
+    }
+
+    // Turns pointer/trail/ripple history into this frame's glow sources, dropping expired ones
+    function updateGlow(now) {
+        if (!props.interaction || reduced) {
+            glow = null;
+            return;
+        }
+        const decay = props.interactionDecayMs;
+        trail = trail.filter((s) => now - s.t < decay).slice(-(MAX_TRAIL - 1));
+
+        const maxRadius = Math.sqrt(w * w + h * h);
+        const ringWidth = spacing * 1.5;
+        ripples = ripples.filter((rp) => (props.rippleSpeed * (now - rp.t)) / 1000 < maxRadius + ringWidth);
+
+        const points = trail.map((s) => [s.x, s.y, 1 - (now - s.t) / decay]);
+        if (pointer) points.push([pointer.x, pointer.y, 1]);
+        const rings = ripples.map((rp) => {
+            const r = (props.rippleSpeed * (now - rp.t)) / 1000;
+            return [rp.x, rp.y, r, Math.max(0, 1 - r / maxRadius)];
+        });
+
+        glow = points.length || rings.length
+            ? { points, rings, radius: props.interactionRadius, ringWidth }
+            : null;
+    }
+
+    // 0..1 glow intensity at a screen point (mirrored in the WebGL vertex shader)
+    function glowAt(x, y) {
+        let k = 0;
+        for (const [px, py, weight] of glow.points) {
+            const d = Math.sqrt((x - px) * (x - px) + (y - py) * (y - py));
+            if (d < glow.radius) k = Math.max(k, (1 - d / glow.radius) * weight);
+        }
+        for (const [rx, ry, r, fade] of glow.rings) {
+            const d = Math.abs(Math.sqrt((x - rx) * (x - rx) + (y - ry) * (y - ry)) - r);
+            if (d < glow.ringWidth) k = Math.max(k, (1 - d / glow.ringWidth) * fade);
+        }
+        return k;
+    }
+
+    function frame(now) {
+        let dt = Math.min(64, now - last) / 1000;
+        last = now;
+
+        // FPS cap (optional)
+        const fps = fpsCeiling();
+        if (fps > 0) {
+            acc += dt;
+            const step = 1 / fps;
+            if (acc < step) {
+                rafId = raf(frame);
+                return;
+            }
+            dt = step;
+            acc = acc % step || 0;
+        }
+
+        const v = reduced ? 0 : props.speed;
+        travelled += v * dt;
+        off = travelled % spacing; // seamless wrap along U
+
+        updateHighlights(dt * 1000);
+        updateGlow(now);
+        draw(now);
+
+        if (props.emit?.highlights && onHighlights) emitHighlightChanges();
+        if (props.emit?.frame && onFrame) onFrame({ time: clock, offset: travelled, highlights: highlights.size });
+
+        govern(now);
+        rafId = raf(frame);
+    }
+
+    function draw(now) {
+        if (!drawable) return;
+        const t0 = performance.now();
+        if (gl) {
+            // Row offsets and highlight lookups happen in the shader
+            gl.render(off, highlights, glow);
+            drawn = gl.instanceCount;
+        } else {
+            draw2d();
+        }
+        if (!hasDrawn) {
+            hasDrawn = true;
+            onDrawn?.();
+        }
+        if (props.showStats && onStats) reportStats(now, performance.now() - t0);
+    }
+
+    // While paused nothing else repaints, so state changes redraw the frame in place
+    function redrawIfPaused() {
+        if (!running && w && h) draw(performance.now());
+    }
+
+    function draw2d() {
+        ctx.clearRect(0, 0, w, h);
+        ctx.globalAlpha = props.opacity;
+
+        let accents = null; // color -> [x, y, ...]
+        const glowing = glow ? Array.from({ length: GLOW_LEVELS + 1 }, () => []) : null;
+        drawn = 0;
+
+        // Every base diamond goes into one path and one fill; highlights get one per colour
+        ctx.beginPath();
+        forEachVisibleCell(lat, view(), range, (r, c, x, y) => {
+            const highlight = highlights.size ? highlights.get(cellKey(r, c)) : undefined;
+            if (highlight) {
+                if (!accents) accents = new Map();
+                if (!accents.has(highlight.color)) accents.set(highlight.color, []);
+                accents.get(highlight.color).push(x, y);
+            } else {
+                traceTile(x, y);
+                if (glowing) {
+                    const level = Math.round(glowAt(x, y) * GLOW_LEVELS);
+                    if (level > 0) glowing[level].push(x, y);
+                }
+            }
+            drawn++;
+        });
+        const { diamondColor, accentColor } = colors();
+        ctx.fillStyle = diamondColor;
+        ctx.fill();
+
+        // Glowing cells: accent on top of the base colour, one fill per intensity level
+        ctx.fillStyle = accentColor;
+        if (glowing) {
+            for (let level = 1; level <= GLOW_LEVELS; level++) {
+                const cells = glowing[level];
+                if (!cells.length) continue;
+                ctx.globalAlpha = props.opacity * (level / GLOW_LEVELS);
+                ctx.beginPath();
+                for (let i = 0; i < cells.length; i += 2) traceTile(cells[i], cells[i + 1]);
+                ctx.fill();
+            }
+            ctx.globalAlpha = props.opacity;
+        }
+
+        if (accents) {
+            for (const [color, cells] of accents) {
+                ctx.beginPath();
+                for (let i = 0; i < cells.length; i += 2) traceTile(cells[i], cells[i + 1]);
+                ctx.fillStyle = color;
+                ctx.fill();
+            }
+        }
+    }
+
+    function applySize() {
+        if (gl) {
+            gl.setSize(w, h, dpr);
+        } else if (ctx) {
+            // Set canvas size
+            canvas.width = Math.ceil(w * dpr);
+            canvas.height = Math.ceil(h * dpr);
+
+            // Scale context for device pixel ratio
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        }
+
+        // Recompute which cells we need to draw to fully cover viewport
+        computeVisibleRange(w, h);
+        redrawIfPaused();
+    }
+
+    function stop() {
+        running = false;
+        caf(rafId);
+    }
+
+    configure();
+
+    return {
+        // "webgl" or "2d", after any fallback; null when this canvas can't be drawn on
+        renderer: gl ? "webgl" : ctx ? "2d" : null,
+
+        resize(width, height, devicePixelRatio) {
+            // Cap the device pixel ratio to avoid performance issues
+            const nextDpr = Math.min(2, Math.max(1, devicePixelRatio || 1));
+            if (width === w && height === h && nextDpr === deviceDpr) return;
+            w = width;
+            h = height;
+            deviceDpr = nextDpr;
+            dpr = dprCeiling();
+            applySize();
+        },
+
+        setProps(nextProps) {
+            props = { ...nextProps, renderer: props.renderer };
+            configure();
+            dpr = dprCeiling();
+            // Same program and context, new uniforms and tile outline; the grid follows
+            // in applySize()
+            gl?.configure(glOptions());
+            if (w && h) applySize();
+        },
+
+        setReducedMotion(value) {
+            reduced = !!value;
+        },
+
+        // Cursor/finger position, or null when it leaves or lifts
+        setPointer(x, y) {
+            // Leave a trail sample every quarter radius of travel, so the trail spans
+            // the same distance regardless of how often the browser fires pointermove
+            const lastSample = trail[trail.length - 1];
+            if (pointer && (!lastSample || x == null ||
+                Math.hypot(pointer.x - lastSample.x, pointer.y - lastSample.y) > props.interactionRadius / 4)) {
+                trail = [...trail, { ...pointer, t: performance.now() }].slice(-(MAX_TRAIL - 1));
+            }
+            pointer = x == null ? null : { x, y };
+        },
+
+        // Starts a ripple wave from a tap
+        ripple(x, y) {
+            ripples = [...ripples, { x, y, t: performance.now() }].slice(-MAX_RIPPLES);
+        },
+
+        start() {
+            if (running || !drawable) return;
+            running = true;
+            last = performance.now();
+            // Time spent stopped isn't frame time
+            governSince = last;
+            governFrames = 0;
+            rafId = raf(frame);
+        },
+
+        stop,
+
+        // Plays a one-off step on top of the choreography, e.g. { pattern: "rings" }
+        burst({ pattern = "rings", params, color, duration = 1500 } = {}) {
+            const step = { pattern, params, color, duration };
+            bursts = [...bursts, { step, elapsed: 0, generate: createGenerator(step) }];
+        },
+
+        // Overrides the prop colours until called with null
+        setPalette(next) {
+            palette = next;
+            gl?.setColors(colors().diamondColor, colors().accentColor);
+            redrawIfPaused();
+        },
+
+        // Jumps the rows to `offset` px of total slide (see onFrame's `offset`)
+        seek(offset) {
+            travelled = Math.max(0, offset);
+            off = travelled % spacing;
+            redrawIfPaused();
+        },
+
+        dispose() {
+            stop();
+            gl?.dispose();
+        },
+    };
+}
@@ -0,0 +1,67 @@
+// Lattice geometry both sides of the build need: the row spacing behind createLattice()
+// (lattice.js) and one period of the lattice as an SVG <pattern>, drawn into the page
+// HTML as the background's first frame (poster.js) and into the share images
+// (gatsby/og-image.js). CommonJS so gatsby-node can require it as well as the site.
+
+// Square rotated 45°, the original tile (shapes.js has the others)
+const DIAMOND = { loops: [[0, -1, 1, 0, 0, 1, -1, 0]] }
+
+const round = (n) => Math.round(n * 1000) / 1000
+
+// Centre-to-centre distance along a row and between rows, and how far odd rows are
+// offset along theirs; see createLattice() for the lattice types
+const rowGeometry = ({ diamondSize, gap, lattice = "staggered" }) => {
+  const spacing = diamondSize + gap
+  return {
+    spacing,
+    rowStride: lattice === "hex" ? (spacing * Math.sqrt(3)) / 2 : spacing,
+    stagger: lattice === "square" ? 0 : spacing * 0.5,
+  }
+}
+
+const tilePath = ({ loops }, half) =>
+  loops
+    .map((loop) => {
+      const points = []
+      for (let k = 0; k < loop.length; k += 2) points.push(`${round(loop[k] * half)} ${round(loop[k + 1] * half)}`)
+      return `M${points.join("L")}Z`
+    })
+    .join("")
+
+/**
+ * Markup for <defs>: the tile as `<id>-tile` and one period of the lattice (a row pair
+ * at offset 0, no highlights) as the pattern `<id>`, rotated by `angle` about the
+ * user-space origin, where the canvas has the viewport centre. `center` moves that
+ * origin, for a pattern used without a nested <svg> to do it.
+ *   props  diamondSize, gap, lattice and angle, as DiamondBackground takes them
+ *   shape  { loops } (see shapes.js); the diamond by default
+ *   fill   a colour, or a var(--…), as it's set in a style
+ */
+const latticePattern = (id, { shape = DIAMOND, fill, opacity = 1, center, ...props }) => {
+  const { spacing, rowStride, stagger } = rowGeometry(props)
+  const angle = props.angle ?? 135
+  const width = spacing
+  const height = rowStride * 2
+
+  // Tiles overhang the pattern box, so each centre is also drawn one period over
+  const centers = [[width / 2, rowStride / 2], [width / 2 + stagger, rowStride * 1.5]]
+  const uses = []
+  for (const [u, v] of centers) {
+    for (const du of [-width, 0, width]) {
+      for (const dv of [-height, 0, height]) {
+        // Tiles stay upright on screen, so undo the pattern's rotation
+        uses.push(`<use href="#${id}-tile" transform="translate(${round(u + du)} ${round(v + dv)}) rotate(${-angle})"/>`)
+      }
+    }
+  }
+
+  const transform = `${center ? `translate(${center[0]} ${center[1]}) ` : ""}rotate(${angle})`
+  return [
+    `<path id="${id}-tile" d="${tilePath(shape, props.diamondSize / 2)}"/>`,
+    `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${round(width)}" height="${round(height)}" patternTransform="${transform}">`,
+    `<g style="fill: ${fill}" fill-opacity="${opacity}">${uses.join("")}</g>`,
+    `</pattern>`,
+  ].join("")
+}
+
+module.exports = { DIAMOND, rowGeometry, latticePattern }
@@ -0,0 +1,188 @@
+// Lattice geometry for DiamondBackground: pure functions, no DOM, no React.
+// Shared by the engine (in-thread or in the worker), the WebGL renderer and
+// anything that needs to reproduce a frame elsewhere.
+//
+// Cells are addressed by integer (row, col). Rows run along the rotated U axis and
+// slide by `offset` px: even rows one way, odd rows the other (see `direction`).
+// A `view` is { width, height, offset }, with the lattice centred on the screen.
+
+// With the extension, so `npm test` can load this file in plain Node too
+import { rowGeometry } from "./geometry.js";
+
+// Numeric (row, col) key, so per-cell lookups don't build strings
+export function cellKey(row, col) {
+    return (row + 32768) * 65536 + (col + 32768);
+}
+
+/**
+ * Geometry constants for a set of DiamondBackground props.
+ * angle: rotation of the U axis in degrees (135 is the original diagonal).
+ * lattice: "staggered" (odd rows offset half a cell), "hex" (staggered with rows
+ * squeezed to √3/2 so all six neighbours are equidistant) or "square" (no offset).
+ */
+export function createLattice({ diamondSize, gap, angle = 135, lattice = "staggered", direction = "NE_SW" }) {
+    const theta = (angle * Math.PI) / 180;
+    const evenSign = direction === "NE_SW" ? +1 : -1;
+    return {
+        ...rowGeometry({ diamondSize, gap, lattice }), // spacing, rowStride, stagger
+        theta,
+        cos: Math.cos(theta),
+        sin: Math.sin(theta),
+        evenSign,
+        oddSign: -evenSign,
+    };
+}
+
+function rowV(lat, row) {
+    return row * lat.rowStride + lat.rowStride * 0.5;
+}
+
+// U of column 0's centre in `row`, including the stagger and the row's slide
+function rowUBase(lat, row, offset) {
+    const isEven = (row & 1) === 0;
+    return lat.spacing * 0.5 + (isEven ? 0 : lat.stagger) + (isEven ? lat.evenSign : lat.oddSign) * offset;
+}
+
+// Rotate (u,v) -> (x,y) and translate to screen center
+export function latticeToScreen(lat, view, row, col) {
+    const u = col * lat.spacing + rowUBase(lat, row, view.offset);
+    const v = rowV(lat, row);
+    return {
+        x: u * lat.cos - v * lat.sin + view.width / 2,
+        y: u * lat.sin + v * lat.cos + view.height / 2,
+    };
+}
+
+// Inverse of the draw rotation: the cell under a screen point
+export function screenToLattice(lat, view, x, y) {
+    const dx = x - view.width / 2;
+    const dy = y - view.height / 2;
+    const v = -dx * lat.sin + dy * lat.cos;
+    const row = Math.round(v / lat.rowStride - 0.5);
+    const u = dx * lat.cos + dy * lat.sin;
+    return { row, col: Math.round((u - rowUBase(lat, row, view.offset)) / lat.spacing) };
+}
+
+// Column of `row` whose centre sits at screen x
+export function colAtX(lat, view, row, x) {
+    // Rows run vertically at 90°/270°, so no column has a distinct x; use mid-screen
+    if (Math.abs(lat.cos) < 1e-6) return screenToLattice(lat, view, x, view.height / 2).col;
+    // x = u * cos - v * sin + centerX  =>  u = (x - centerX + v * sin) / cos
+    const u = (x - view.width / 2 + rowV(lat, row) * lat.sin) / lat.cos;
+    return Math.round((u - rowUBase(lat, row, view.offset)) / lat.spacing);
+}
+
+// u-extent of the convex polygon `poly` ({u, v} corners) within the band v0..v1
+function uSpanInBand(poly, v0, v1) {
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (let i = 0; i < poly.length; i++) {
+        const a = poly[i];
+        const b = poly[(i + 1) % poly.length];
+        const dv = b.v - a.v;
+        let t0 = 0, t1 = 1;
+        if (dv === 0) {
+            if (a.v < v0 || a.v > v1) continue;
+        } else {
+            const ta = (v0 - a.v) / dv;
+            const tb = (v1 - a.v) / dv;
+            t0 = Math.max(0, Math.min(ta, tb));
+            t1 = Math.min(1, Math.max(ta, tb));
+            if (t0 > t1) continue;
+        }
+        const ua = a.u + (b.u - a.u) * t0;
+        const ub = a.u + (b.u - a.u) * t1;
+        lo = Math.min(lo, ua, ub);
+        hi = Math.max(hi, ua, ub);
+    }
+    return [lo, hi];
+}
+
+/**
+ * Which cells can touch a width × height screen, worked out from the rotation.
+ * `reach` is how far a tile extends from its centre in px. Returns the row range and,
+ * per row, the [uMin, uMax] span a cell centre has to fall in to be drawn.
+ */
+export function visibleRange(lat, width, height, reach) {
+    // Screen corners in lattice (u, v) space
+    const corners = [
+        [-width / 2, -height / 2],
+        [width / 2, -height / 2],
+        [width / 2, height / 2],
+        [-width / 2, height / 2],
+    ].map(([x, y]) => ({ u: x * lat.cos + y * lat.sin, v: -x * lat.sin + y * lat.cos }));
+
+    const vMin = Math.min(...corners.map((p) => p.v)) - reach;
+    const vMax = Math.max(...corners.map((p) => p.v)) + reach;
+    const rowStart = Math.ceil(vMin / lat.rowStride - 0.5);
+    const rowEnd = Math.floor(vMax / lat.rowStride - 0.5) + 1;
+
+    const rowSpans = [];
+    for (let r = rowStart; r < rowEnd; r++) {
+        const v = rowV(lat, r);
+        const [lo, hi] = uSpanInBand(corners, v - reach, v + reach);
+        rowSpans.push([lo - reach, hi + reach]);
+    }
+    return { rowStart, rowEnd, rowSpans };
+}
+
+// Calls fn(row, col, x, y) for every cell in `range` at the view's offset
+export function forEachVisibleCell(lat, view, range, fn) {
+    const centerX = view.width / 2;
+    const centerY = view.height / 2;
+
+    for (let r = range.rowStart; r < range.rowEnd; r++) {
+        const [uMin, uMax] = range.rowSpans[r - range.rowStart];
+        if (uMin > uMax) continue;
+
+        const v = rowV(lat, r);
+        const uBase = rowUBase(lat, r, view.offset);
+
+        // Only the columns whose centre falls inside this row's on-screen span
+        const colStart = Math.ceil((uMin - uBase) / lat.spacing);
+        const colEnd = Math.floor((uMax - uBase) / lat.spacing) + 1;
+
+        for (let c = colStart; c < colEnd; c++) {
+            const u = c * lat.spacing + uBase;
+            fn(r, c, u * lat.cos - v * lat.sin + centerX, u * lat.sin + v * lat.cos + centerY);
+        }
+    }
+}
+
+/**
+ * The view offset wraps every `spacing` px, and each wrap moves a given diamond one
+ * column over. Given a cell anchored at { row, col, travelled } (total unwrapped
+ * slide at the time), returns where that same diamond is after `travelled` px.
+ */
+export function follow(lat, { row, col, travelled: since }, travelled) {
+    const isEven = (row & 1) === 0;
+    const wraps = Math.floor(travelled / lat.spacing) - Math.floor(since / lat.spacing);
+    return { row, col: col + (isEven ? lat.evenSign : lat.oddSign) * wraps };
+}
+
+// String seeds are hashed (FNV-1a) so `seed="hero"` works as well as numbers
+function hashSeed(seed) {
+    if (typeof seed === "number") return seed >>> 0;
+    let h = 2166136261;
+    for (const ch of String(seed)) {
+        h ^= ch.charCodeAt(0);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+/**
+ * 0..1 random source. With a seed it's a mulberry32 PRNG, so the same seed gives the
+ * same sequence; without one it's Math.random.
+ */
+export function createRandom(seed) {
+    if (seed === undefined || seed === null || seed === "") return Math.random;
+    let a = hashSeed(seed);
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,171 @@
+// Unit tests for lattice.js; run with `npm test` (node:test, no extra dependencies).
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+    colAtX,
+    createLattice,
+    createRandom,
+    follow,
+    forEachVisibleCell,
+    latticeToScreen,
+    screenToLattice,
+    visibleRange,
+} from "./lattice.js";
+
+const ANGLES = [0, 30, 45, 90, 135, 180, 225, 270, 315];
+const LATTICES = ["staggered", "hex"];
+const base = { diamondSize: 5, gap: 24 };
+
+// Math.round hands back -0 for small negatives; the cell is the same
+const cell = ({ row, col }) => ({ row: row + 0, col: col + 0 });
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} vs ${expected}`);
+
+describe("latticeToScreen / screenToLattice", () => {
+    for (const lattice of LATTICES) {
+        for (const angle of ANGLES) {
+            it(`round-trips ${lattice} cells at ${angle}°`, () => {
+                const lat = createLattice({ ...base, lattice, angle });
+                for (const offset of [0, 7.5, lat.spacing - 0.5]) {
+                    const view = { width: 800, height: 600, offset };
+                    for (let row = -6; row <= 6; row++) {
+                        for (let col = -6; col <= 6; col++) {
+                            const { x, y } = latticeToScreen(lat, view, row, col);
+                            assert.deepEqual(cell(screenToLattice(lat, view, x, y)), { row, col }, `(${row}, ${col}) offset ${offset}`);
+                        }
+                    }
+                }
+            });
+        }
+    }
+
+    it("finds the cell under points near, not just at, a centre", () => {
+        const lat = createLattice({ ...base, angle: 135 });
+        const view = { width: 640, height: 480, offset: 3 };
+        const { x, y } = latticeToScreen(lat, view, 2, -3);
+        assert.deepEqual(cell(screenToLattice(lat, view, x + 2, y - 2)), { row: 2, col: -3 });
+    });
+
+    it("colAtX inverts the x of a row's centres", () => {
+        const lat = createLattice({ ...base, angle: 135 });
+        const view = { width: 800, height: 600, offset: 4 };
+        for (let col = -5; col <= 5; col++) {
+            assert.equal(colAtX(lat, view, 3, latticeToScreen(lat, view, 3, col).x) + 0, col);
+        }
+    });
+});
+
+describe("visibleRange / forEachVisibleCell", () => {
+    // Brute force over a generous block of cells: every cell centred on screen has to
+    // be visited, once, at the position latticeToScreen gives, and nothing far off it
+    const check = (lat, view, reach) => {
+        const range = visibleRange(lat, view.width, view.height, reach);
+        const visited = new Map();
+        forEachVisibleCell(lat, view, range, (row, col, x, y) => {
+            const key = `${row},${col}`;
+            assert.ok(!visited.has(key), `${key} visited twice`);
+            visited.set(key, { x, y });
+        });
+
+        const limit = Math.ceil(Math.hypot(view.width, view.height) / lat.rowStride) + 4;
+        for (let row = -limit; row <= limit; row++) {
+            for (let col = -limit; col <= limit; col++) {
+                const { x, y } = latticeToScreen(lat, view, row, col);
+                // The range is padded by `reach` along both lattice axes, so a visited
+                // centre can sit up to reach·√2 outside the screen (a tile corner)
+                const margin = reach * Math.SQRT2 + 1e-6;
+                const onScreen = x >= -margin && x <= view.width + margin && y >= -margin && y <= view.height + margin;
+                // Inside the screen itself, not just its bounding box grown by reach
+                const inside = x >= 0 && x <= view.width && y >= 0 && y <= view.height;
+                if (inside) assert.ok(visited.has(`${row},${col}`), `(${row}, ${col}) at ${x.toFixed(1)}, ${y.toFixed(1)} missed`);
+                const seen = visited.get(`${row},${col}`);
+                if (seen) {
+                    assert.ok(onScreen, `(${row}, ${col}) visited but off screen`);
+                    close(seen.x, x, "x");
+                    close(seen.y, y, "y");
+                }
+            }
+        }
+        return visited.size;
+    };
+
+    for (const lattice of LATTICES) {
+        for (const angle of ANGLES) {
+            it(`covers every on-screen ${lattice} cell at ${angle}°`, () => {
+                const lat = createLattice({ ...base, lattice, angle });
+                for (const offset of [0, 11, lat.spacing - 1]) {
+                    assert.ok(check(lat, { width: 800, height: 600, offset }, 5) > 0);
+                    check(lat, { width: 375, height: 812, offset }, 5);
+                }
+            });
+        }
+    }
+
+    it("reaches tiles whose centre is just off screen", () => {
+        const lat = createLattice({ ...base, angle: 135 });
+        const view = { width: 320, height: 240, offset: 0 };
+        const reach = 20;
+        const range = visibleRange(lat, view.width, view.height, reach);
+        let outside = 0;
+        forEachVisibleCell(lat, view, range, (row, col, x, y) => {
+            if (x < 0 || y < 0 || x > view.width || y > view.height) outside++;
+        });
+        assert.ok(outside > 0);
+    });
+});
+
+describe("follow", () => {
+    for (const direction of ["NE_SW", "NW_SE"]) {
+        it(`tracks a diamond as the rows slide (${direction})`, () => {
+            const lat = createLattice({ ...base, angle: 135, direction });
+            const size = { width: 800, height: 600 };
+            for (const row of [0, 1, -3, 4]) {
+                const anchor = { row, col: 2, travelled: 13 };
+                const start = latticeToScreen(lat, { ...size, offset: anchor.travelled % lat.spacing }, row, anchor.col);
+                const sign = (row & 1) === 0 ? lat.evenSign : lat.oddSign;
+
+                for (const travelled of [13, 20, 29, 42, 100, 1000.5]) {
+                    const { row: r, col } = follow(lat, anchor, travelled);
+                    assert.equal(r, row);
+                    const now = latticeToScreen(lat, { ...size, offset: travelled % lat.spacing }, r, col);
+                    // The same diamond has moved along its row by exactly the slide since
+                    const moved = sign * (travelled - anchor.travelled);
+                    close(now.x - start.x, moved * lat.cos, `x after ${travelled}`);
+                    close(now.y - start.y, moved * lat.sin, `y after ${travelled}`);
+                }
+            }
+        });
+    }
+
+    it("stays put until the offset wraps", () => {
+        const lat = createLattice(base);
+        assert.deepEqual(follow(lat, { row: 0, col: 5, travelled: 0 }, lat.spacing - 1), { row: 0, col: 5 });
+        assert.deepEqual(follow(lat, { row: 0, col: 5, travelled: 0 }, lat.spacing), { row: 0, col: 5 + lat.evenSign });
+        assert.deepEqual(follow(lat, { row: 1, col: 5, travelled: 0 }, lat.spacing), { row: 1, col: 5 + lat.oddSign });
+    });
+});
+
+describe("createRandom", () => {
+    const take = (random, n = 20) => Array.from({ length: n }, () => random());
+
+    it("repeats the sequence for the same number seed", () => {
+        assert.deepEqual(take(createRandom(42)), take(createRandom(42)));
+    });
+
+    it("repeats the sequence for the same string seed", () => {
+        assert.deepEqual(take(createRandom("hero")), take(createRandom("hero")));
+    });
+
+    it("gives different sequences for different seeds", () => {
+        assert.notDeepEqual(take(createRandom(1)), take(createRandom(2)));
+        assert.notDeepEqual(take(createRandom("hero")), take(createRandom("footer")));
+    });
+
+    it("stays within 0..1", () => {
+        for (const value of take(createRandom("range"), 1000)) assert.ok(value >= 0 && value < 1);
+    });
+
+    it("falls back to Math.random without a seed", () => {
+        assert.equal(createRandom(), Math.random);
+        assert.equal(createRandom(""), Math.random);
+    });
+});
@@ -0,0 +1,142 @@
+// Built-in highlight patterns for DiamondBackground choreography.
+//
+// A pattern is a factory `(params) => generate`, called when its step starts.
+// `generate(frame)` runs once per frame while the step is active and returns the
+// cells to light up as [{ row, col }]. `frame` is built by the engine:
+//   progress   0..1 through the step
+//   elapsed    ms since the step started
+//   width, height, spacing
+//   travelled  total distance the rows have slid (unwrapped)
+//   random()   0..1
+//   cells()    visible cells as [{ row, col, x, y }] (screen px)
+//   cellAt(x, y)      cell under a screen point
+//   colAtX(row, x)    column of `row` whose centre sits at screen x
+//   follow(anchor)    where an anchored { row, col, travelled } cell has moved to
+//
+// Patterns are referenced by name so choreography steps can be posted to the worker.
+
+// 5×7 bitmap glyphs for `glyph`; "#" is lit
+const FONT = {
+    "0": [" ### ", "#   #", "#  ##", "# # #", "##  #", "#   #", " ### "],
+    "1": ["  #  ", " ##  ", "  #  ", "  #  ", "  #  ", "  #  ", " ### "],
+    "2": [" ### ", "#   #", "    #", "   # ", "  #  ", " #   ", "#####"],
+    "3": ["#### ", "    #", "    #", " ### ", "    #", "    #", "#### "],
+    "4": ["   # ", "  ## ", " # # ", "#  # ", "#####", "   # ", "   # "],
+    "5": ["#####", "#    ", "#### ", "    #", "    #", "#   #", " ### "],
+    "6": [" ### ", "#    ", "#    ", "#### ", "#   #", "#   #", " ### "],
+    "7": ["#####", "    #", "   # ", "  #  ", " #   ", " #   ", " #   "],
+    "8": [" ### ", "#   #", "#   #", " ### ", "#   #", "#   #", " ### "],
+    "9": [" ### ", "#   #", "#   #", " ####", "    #", "    #", " ### "],
+    "S": [" ####", "#    ", "#    ", " ### ", "    #", "    #", "#### "],
+    " ": ["     ", "     ", "     ", "     ", "     ", "     ", "     "],
+};
+
+/**
+ * The original spawner: every `everyMs`, up to two random rows get a highlight at the
+ * left edge, which then rides along with its row until it has crossed the screen.
+ */
+function random({ count = 6, everyMs = 10000 } = {}) {
+    const live = new Map(); // key -> { row, col, travelled }
+    let lastSpawn = -Infinity;
+
+    return (frame) => {
+        // Calculate how far a diamond needs to travel to cross the screen
+        const transitDistance = Math.hypot(frame.width, frame.height) + frame.spacing * 2;
+        for (const [key, anchor] of live) {
+            if (frame.travelled - anchor.travelled > transitDistance) live.delete(key);
+        }
+
+        const visibleRows = frame.elapsed - lastSpawn > everyMs ? frame.cells().map((c) => c.row) : [];
+        if (visibleRows.length) {
+            const numToSpawn = Math.min(count - live.size, 2);
+            const rowMin = Math.min(...visibleRows);
+            const rowMax = Math.max(...visibleRows);
+            for (let i = 0; i < numToSpawn; i++) {
+                const row = rowMin + Math.floor(frame.random() * (rowMax - rowMin + 1));
+                // Just off the left edge of the screen
+                const col = frame.colAtX(row, -frame.spacing);
+                live.set(`${row}:${col}`, { row, col, travelled: frame.travelled });
+            }
+            lastSpawn = frame.elapsed;
+        }
+
+        return Array.from(live.values(), (anchor) => frame.follow(anchor));
+    };
+}
+
+// A straight band crossing the screen at `angle` degrees (45 = top-left to bottom-right)
+function diagonalSweep({ angle = 45, width = 2 } = {}) {
+    const dx = Math.cos((angle * Math.PI) / 180);
+    const dy = Math.sin((angle * Math.PI) / 180);
+
+    return (frame) => {
+        const band = width * frame.spacing;
+        const corners = [[0, 0], [frame.width, 0], [0, frame.height], [frame.width, frame.height]]
+            .map(([x, y]) => x * dx + y * dy);
+        const from = Math.min(...corners) - band;
+        const to = Math.max(...corners) + band;
+        const center = from + (to - from) * frame.progress;
+
+        return frame.cells().filter(({ x, y }) => Math.abs(x * dx + y * dy - center) < band / 2);
+    };
+}
+
+// `count` concentric rings growing out of the screen centre, evenly staggered
+function rings({ count = 3, thickness = 1 } = {}) {
+    return (frame) => {
+        const cx = frame.width / 2;
+        const cy = frame.height / 2;
+        const maxRadius = Math.hypot(cx, cy) + frame.spacing;
+        const band = thickness * frame.spacing;
+        const radii = Array.from({ length: count }, (_, i) => ((frame.progress + i / count) % 1) * maxRadius);
+
+        return frame.cells().filter(({ x, y }) => {
+            const d = Math.hypot(x - cx, y - cy);
+            return radii.some((r) => Math.abs(d - r) < band / 2);
+        });
+    };
+}
+
+// Text traced cell by cell over the first `trace` of the step, then held
+function glyph({ text = "38", scale = 1, trace = 0.5 } = {}) {
+    const chars = String(text).toUpperCase().split("").map((ch) => FONT[ch] || FONT[" "]);
+
+    return (frame) => {
+        const pitch = frame.spacing * scale;
+        const cols = chars.length * 6 - 1;
+        const left = frame.width / 2 - ((cols - 1) * pitch) / 2;
+        const top = frame.height / 2 - 3 * pitch;
+
+        // Pixels in reading order, per character, so each digit is drawn in turn
+        const pixels = [];
+        chars.forEach((rows, i) => {
+            rows.forEach((line, y) => {
+                line.split("").forEach((px, x) => {
+                    if (px === "#") pixels.push([left + (i * 6 + x) * pitch, top + y * pitch]);
+                });
+            });
+        });
+
+        const shown = Math.ceil(pixels.length * Math.min(1, frame.progress / trace));
+        return pixels.slice(0, shown).map(([x, y]) => frame.cellAt(x, y));
+    };
+}
+
+// A sine wave drawn from left to right, trailing off behind its leading edge
+function wave({ amplitude = 0.2, wavelength = 0.5, thickness = 1, tail = 0.5 } = {}) {
+    return (frame) => {
+        const a = amplitude * frame.height;
+        const k = (2 * Math.PI) / (wavelength * frame.width);
+        const band = thickness * frame.spacing;
+        const front = frame.width * (1 + tail) * frame.progress;
+        const back = front - frame.width * tail;
+
+        return frame.cells().filter(({ x, y }) => {
+            if (x > front || x < back) return false;
+            const curve = frame.height / 2 + a * Math.sin(k * x);
+            return Math.abs(y - curve) < band / 2;
+        });
+    };
+}
+
+export const patterns = { random, diagonalSweep, rings, glyph, wave };
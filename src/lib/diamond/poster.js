@@ -0,0 +1,36 @@
+import { latticePattern } from "./geometry";
+import { isSvgUrl, resolveShape } from "./shapes";
+
+// Static first frame of DiamondBackground as SVG markup, rendered at build time by
+// gatsby-ssr.js so the pattern is there before (and without) JavaScript.
+//
+// The lattice is periodic, so the frame is one <pattern> tile (a row pair, see
+// geometry.js) rotated by `angle` and centred on the viewport like the canvas, which
+// makes it the same size at any screen size. Rows sit at offset 0 with no highlights,
+// as the engine starts.
+
+// Element id the component looks for to fade the poster out
+export const POSTER_ID = "diamond-poster";
+
+export function renderPosterSvg(props) {
+    // SVG files are fetched in the browser; until then the component draws diamonds too
+    const shape = resolveShape(isSvgUrl(props.shape) ? "diamond" : props.shape);
+    const pattern = latticePattern(`${POSTER_ID}-lattice`, {
+        ...props,
+        shape,
+        fill: props.diamondColor,
+        opacity: props.opacity ?? 1,
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="100%" height="100%" aria-hidden="true" focusable="false">`,
+        `<defs>`,
+        pattern,
+        `</defs>`,
+        // The nested <svg> moves the origin to the viewport centre, where the canvas puts it
+        `<svg x="50%" y="50%" overflow="visible">`,
+        `<rect x="-4096" y="-4096" width="8192" height="8192" fill="url(#${POSTER_ID}-lattice)"/>`,
+        `</svg>`,
+        `</svg>`,
+    ].join("");
+}
@@ -0,0 +1,244 @@
+// Tile shapes for DiamondBackground.
+//
+// Every shape is normalised to `{ loops }`: closed outlines as flat [x, y, x, y, ...]
+// arrays, centred on the origin and scaled so the shape spans -1..1 on its larger
+// axis. The renderers multiply by diamondSize / 2, so diamondSize stays "tip to tip".
+// No DOM is needed, so this also runs in the worker.
+
+import { DIAMOND } from "./geometry";
+
+const circle = (segments, radius = 1) => Array.from({ length: segments }, (_, i) => {
+    const a = (i / segments) * Math.PI * 2;
+    return [Math.cos(a) * radius, Math.sin(a) * radius];
+}).flat();
+
+export const BUILT_IN_SHAPES = {
+    diamond: DIAMOND, // square rotated 45°, the original tile
+    // Axis-aligned, with the same corner reach as the diamond
+    square: { loops: [[-Math.SQRT1_2, -Math.SQRT1_2, Math.SQRT1_2, -Math.SQRT1_2, Math.SQRT1_2, Math.SQRT1_2, -Math.SQRT1_2, Math.SQRT1_2]] },
+    // Pointy-top, so it tiles with lattice="hex"
+    hexagon: {
+        loops: [Array.from({ length: 6 }, (_, i) => {
+            const a = ((i * 60 - 90) * Math.PI) / 180;
+            return [Math.cos(a), Math.sin(a)];
+        }).flat()],
+    },
+    dot: { loops: [circle(24)] },
+    chevron: { loops: [[-0.6, -1, 0.2, -1, 1, 0, 0.2, 1, -0.6, 1, 0.2, 0]] },
+};
+
+const CURVE_STEPS = 8;
+
+/**
+ * Flattens SVG path data into polygon loops. Handles M L H V C S Q T Z in absolute and
+ * relative form; arcs (A) are approximated by a straight line to their end point.
+ */
+export function pathToLoops(d) {
+    const tokens = d.match(/[a-df-z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+    const loops = [];
+    let loop = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let cx = 0, cy = 0; // last control point, for S/T reflection
+    let cmd = "";
+    let prev = "";
+    let i = 0;
+
+    const num = () => parseFloat(tokens[i++]);
+    const lineTo = (nx, ny) => {
+        if (!loop) loop = [x, y];
+        loop.push(nx, ny);
+        x = nx;
+        y = ny;
+    };
+    const closeLoop = () => {
+        if (loop && loop.length >= 6) loops.push(loop);
+        loop = null;
+    };
+    const bezier = (pts) => {
+        // pts: control points after the current position
+        const all = [[x, y], ...pts];
+        for (let s = 1; s <= CURVE_STEPS; s++) {
+            const t = s / CURVE_STEPS;
+            let layer = all;
+            while (layer.length > 1) {
+                layer = layer.slice(1).map((p, k) => [
+                    layer[k][0] + (p[0] - layer[k][0]) * t,
+                    layer[k][1] + (p[1] - layer[k][1]) * t,
+                ]);
+            }
+            lineTo(layer[0][0], layer[0][1]);
+        }
+    };
+
+    while (i < tokens.length) {
+        if (/[a-z]/i.test(tokens[i])) {
+            cmd = tokens[i++];
+        } else if (!cmd) {
+            break;
+        }
+        const rel = cmd === cmd.toLowerCase();
+        const ox = rel ? x : 0;
+        const oy = rel ? y : 0;
+
+        switch (cmd.toUpperCase()) {
+            case "M": {
+                closeLoop();
+                x = num() + ox;
+                y = num() + oy;
+                startX = x;
+                startY = y;
+                loop = [x, y];
+                // Further coordinate pairs after M are implicit L
+                cmd = rel ? "l" : "L";
+                break;
+            }
+            case "L":
+                lineTo(num() + ox, num() + oy);
+                break;
+            case "H":
+                lineTo(num() + ox, y);
+                break;
+            case "V":
+                lineTo(x, num() + oy);
+                break;
+            case "C": {
+                const p1 = [num() + ox, num() + oy];
+                const p2 = [num() + ox, num() + oy];
+                const p = [num() + ox, num() + oy];
+                bezier([p1, p2, p]);
+                [cx, cy] = p2;
+                break;
+            }
+            case "S": {
+                const p1 = /[CS]/i.test(prev) ? [2 * x - cx, 2 * y - cy] : [x, y];
+                const p2 = [num() + ox, num() + oy];
+                const p = [num() + ox, num() + oy];
+                bezier([p1, p2, p]);
+                [cx, cy] = p2;
+                break;
+            }
+            case "Q": {
+                const p1 = [num() + ox, num() + oy];
+                const p = [num() + ox, num() + oy];
+                bezier([p1, p]);
+                [cx, cy] = p1;
+                break;
+            }
+            case "T": {
+                const p1 = /[QT]/i.test(prev) ? [2 * x - cx, 2 * y - cy] : [x, y];
+                const p = [num() + ox, num() + oy];
+                bezier([p1, p]);
+                [cx, cy] = p1;
+                break;
+            }
+            case "A": {
+                i += 5; // rx ry rotation large-arc sweep
+                lineTo(num() + ox, num() + oy);
+                break;
+            }
+            case "Z":
+                x = startX;
+                y = startY;
+                closeLoop();
+                break;
+            default:
+                // Unknown command: stop rather than misread the rest
+                i = tokens.length;
+        }
+        prev = cmd;
+    }
+    closeLoop();
+    return loops;
+}
+
+const attr = (tag, name) => {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+};
+
+/**
+ * Reads <path>, <rect>, <polygon> and <circle> outlines out of SVG markup, using the
+ * viewBox as the tile bounds. Transforms, strokes and text are ignored.
+ */
+export function svgToShape(svg) {
+    const root = svg.match(/<svg[^>]*>/i)?.[0] || "";
+    const viewBox = (attr(root, "viewBox") || "").split(/[\s,]+/).map(Number);
+    const loops = [];
+
+    for (const [tag] of svg.matchAll(/<(path|rect|polygon|circle)\b[^>]*>/gi)) {
+        const name = tag.slice(1).split(/[\s>/]/)[0].toLowerCase();
+        if (name === "path") {
+            loops.push(...pathToLoops(attr(tag, "d") || ""));
+        } else if (name === "rect") {
+            const x = +attr(tag, "x") || 0;
+            const y = +attr(tag, "y") || 0;
+            const w = +attr(tag, "width") || 0;
+            const h = +attr(tag, "height") || 0;
+            loops.push([x, y, x + w, y, x + w, y + h, x, y + h]);
+        } else if (name === "polygon") {
+            loops.push((attr(tag, "points") || "").trim().split(/[\s,]+/).map(Number));
+        } else if (name === "circle") {
+            const r = +attr(tag, "r") || 0;
+            const cx = +attr(tag, "cx") || 0;
+            const cy = +attr(tag, "cy") || 0;
+            loops.push(circle(16, r).map((v, k) => v + (k % 2 ? cy : cx)));
+        }
+    }
+
+    const bounds = viewBox.length === 4 && viewBox.every(Number.isFinite)
+        ? { minX: viewBox[0], minY: viewBox[1], maxX: viewBox[0] + viewBox[2], maxY: viewBox[1] + viewBox[3] }
+        : null;
+    return normalize(loops, bounds);
+}
+
+function boundsOf(loops) {
+    const xs = loops.flatMap((loop) => loop.filter((_, k) => k % 2 === 0));
+    const ys = loops.flatMap((loop) => loop.filter((_, k) => k % 2 === 1));
+    return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+// Centre on the bounds and scale the larger side to -1..1
+function normalize(loops, bounds = boundsOf(loops)) {
+    const cx = (bounds.minX + bounds.maxX) / 2;
+    const cy = (bounds.minY + bounds.maxY) / 2;
+    const scale = 2 / Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) || 1;
+    return {
+        loops: loops.map((loop) => loop.map((v, k) => (v - (k % 2 ? cy : cx)) * scale)),
+    };
+}
+
+/**
+ * Resolves a `shape` prop that needs no loading: a built-in name, SVG path data,
+ * or an already-normalised { loops } object. SVG files go through loadSvgShape().
+ */
+export function resolveShape(shape) {
+    if (!shape) return BUILT_IN_SHAPES.diamond;
+    if (typeof shape === "object" && Array.isArray(shape.loops)) return shape;
+    if (BUILT_IN_SHAPES[shape]) return BUILT_IN_SHAPES[shape];
+    if (typeof shape === "string" && /^\s*[Mm]/.test(shape)) {
+        const loops = pathToLoops(shape);
+        if (loops.length) return normalize(loops);
+    }
+    console.warn(`DiamondBackground: unknown shape "${shape}", using diamond`);
+    return BUILT_IN_SHAPES.diamond;
+}
+
+// True for what an `import x from "../images/foo.svg"` gives you (a URL or data URI)
+export function isSvgUrl(shape) {
+    return typeof shape === "string" && (/\.svg(\?|#|$)/i.test(shape) || shape.startsWith("data:image/svg+xml"));
+}
+
+export async function loadSvgShape(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Failed to load shape ${url}: ${res.status}`);
+    return svgToShape(await res.text());
+}
+
+// Furthest any point of the shape reaches from its centre, in unit space
+export function shapeReach({ loops }) {
+    let reach = 0;
+    for (const loop of loops) {
+        for (let k = 0; k < loop.length; k += 2) reach = Math.max(reach, Math.hypot(loop[k], loop[k + 1]));
+    }
+    return reach || 1;
+}
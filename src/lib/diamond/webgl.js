@@ -0,0 +1,329 @@
+import {
+    Camera,
+    Color,
+    DynamicDrawUsage,
+    Float32BufferAttribute,
+    InstancedBufferAttribute,
+    InstancedBufferGeometry,
+    Mesh,
+    Scene,
+    ShaderMaterial,
+    ShapeUtils,
+    SRGBColorSpace,
+    Vector2,
+    Vector3,
+    Vector4,
+    WebGLRenderer,
+} from "three";
+
+// The uniform arrays below, with the scalars, come to about 55 vertex uniform vectors,
+// inside WebGL1's guaranteed minimum of 128. Highlights are a per-instance attribute,
+// so any number of cells can be lit.
+
+// Distinct highlight colours per frame (choreography steps can each set one)
+export const MAX_COLORS = 8;
+
+// Pointer interaction: cursor/trail samples and concurrent tap ripples
+export const MAX_TRAIL = 24;
+export const MAX_RIPPLES = 8;
+
+const vertexShader = /* glsl */ `
+    #define MAX_TRAIL ${MAX_TRAIL}
+    #define MAX_RIPPLES ${MAX_RIPPLES}
+    #define MAX_COLORS ${MAX_COLORS}
+
+    attribute vec2 aCell; // (row, col)
+    attribute float aHighlight; // palette index + 1, or 0 when not highlighted
+
+    uniform vec2 uResolution;
+    uniform float uSpacing;
+    uniform float uRowStride;
+    uniform float uStagger;
+    uniform float uOffset;
+    uniform vec2 uSigns;   // (even row sign, odd row sign)
+    uniform vec2 uRot;     // (cos, sin)
+    uniform vec3 uPalette[MAX_COLORS];
+    uniform vec3 uBase;
+    uniform vec3 uAccent;
+
+    uniform vec3 uTrail[MAX_TRAIL];    // (x, y, weight) in CSS px
+    uniform int uTrailCount;
+    uniform float uRadius;
+    uniform vec4 uRings[MAX_RIPPLES];  // (x, y, radius, fade)
+    uniform int uRingCount;
+    uniform float uRingWidth;
+
+    varying vec3 vColor;
+
+    void main() {
+        float row = aCell.x;
+        bool isEven = mod(row, 2.0) == 0.0;
+
+        // Same lattice maths as the 2D path: rows slide along U in opposite directions
+        float vRow = row * uRowStride + uRowStride * 0.5;
+        float stagger = isEven ? 0.0 : uStagger;
+        float uShift = (isEven ? uSigns.x : uSigns.y) * uOffset;
+        float u = aCell.y * uSpacing + uSpacing * 0.5 + stagger + uShift;
+
+        vec2 center = vec2(
+            u * uRot.x - vRow * uRot.y,
+            u * uRot.y + vRow * uRot.x
+        ) + uResolution * 0.5;
+
+        vec2 clip = (center + position.xy) / uResolution * 2.0 - 1.0;
+        gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+
+        if (aHighlight > 0.0) {
+            vColor = uPalette[int(aHighlight) - 1];
+            return;
+        }
+
+        // Pointer glow, same falloff as the 2D path's glowAt()
+        float glow = 0.0;
+        for (int i = 0; i < MAX_TRAIL; i++) {
+            if (i >= uTrailCount) break;
+            float d = distance(center, uTrail[i].xy);
+            glow = max(glow, (1.0 - min(d / uRadius, 1.0)) * uTrail[i].z);
+        }
+        for (int i = 0; i < MAX_RIPPLES; i++) {
+            if (i >= uRingCount) break;
+            float d = abs(distance(center, uRings[i].xy) - uRings[i].z);
+            glow = max(glow, (1.0 - min(d / uRingWidth, 1.0)) * uRings[i].w);
+        }
+        vColor = mix(uBase, uAccent, glow);
+    }
+`;
+
+const fragmentShader = /* glsl */ `
+    uniform float uOpacity;
+
+    varying vec3 vColor;
+
+    void main() {
+        gl_FragColor = vec4(vColor, uOpacity);
+    }
+`;
+
+// ShaderMaterial output isn't colour-managed, so hand the shader raw sRGB values
+function srgb(color) {
+    const rgb = new Color(color).getRGB({}, SRGBColorSpace);
+    return new Vector3(rgb.r, rgb.g, rgb.b);
+}
+
+// Triangulates the tile's outline loops (see shapes.js), scaled to px
+function tileGeometry(geometry, { loops }, half) {
+    const positions = [];
+    const indices = [];
+    for (const loop of loops) {
+        const contour = [];
+        for (let k = 0; k < loop.length; k += 2) contour.push(new Vector2(loop[k] * half, loop[k + 1] * half));
+        const base = positions.length / 3;
+        contour.forEach((p) => positions.push(p.x, p.y, 0));
+        for (const [a, b, c] of ShapeUtils.triangulateShape(contour, [])) {
+            indices.push(base + a, base + b, base + c);
+        }
+    }
+    geometry.setAttribute("position", new Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+}
+
+/**
+ * Draws the diamond lattice as a single instanced mesh.
+ * Returns null when no WebGL context can be created, or the shader program doesn't
+ * link, so the caller can fall back to 2D. In the second case the canvas already holds
+ * a WebGL context, so 2D needs a fresh one.
+ *
+ * `strict` asks the browser to refuse software-rendered contexts
+ * (used by renderer="auto", where 2D is the better choice on those). The other options
+ * ({ diamondSize, spacing, rowStride, stagger, shape, theta, diamondColor, accentColor,
+ * opacity, evenSign, oddSign }) can be changed later through configure().
+ */
+export function createWebglDiamondRenderer(canvas, { strict = false, ...options }) {
+    let renderer;
+    try {
+        renderer = new WebGLRenderer({
+            canvas,
+            alpha: true,
+            antialias: true,
+            premultipliedAlpha: true,
+            powerPreference: "low-power",
+            failIfMajorPerformanceCaveat: strict,
+        });
+    } catch (err) {
+        return null;
+    }
+    renderer.setClearColor(0x000000, 0);
+
+    const geometry = new InstancedBufferGeometry();
+
+    // Instance index layout of the current grid, for placing highlights (see setGrid)
+    let grid = { rowStart: 0, rowEnd: 0, colStart: 0, colEnd: 0 };
+    let lit = []; // instance indices highlighted last frame, to clear
+    const palette = Array.from({ length: MAX_COLORS }, () => new Vector3());
+    const trail = Array.from({ length: MAX_TRAIL }, () => new Vector3());
+    const rings = Array.from({ length: MAX_RIPPLES }, () => new Vector4());
+    const uniforms = {
+        uResolution: { value: new Vector2(1, 1) },
+        uSpacing: { value: 1 },
+        uRowStride: { value: 1 },
+        uStagger: { value: 0 },
+        uOffset: { value: 0 },
+        uSigns: { value: new Vector2() },
+        uRot: { value: new Vector2() },
+        uPalette: { value: palette },
+        uTrail: { value: trail },
+        uTrailCount: { value: 0 },
+        uRadius: { value: 1 },
+        uRings: { value: rings },
+        uRingCount: { value: 0 },
+        uRingWidth: { value: 1 },
+        uBase: { value: new Vector3() },
+        uAccent: { value: new Vector3() },
+        uOpacity: { value: 1 },
+    };
+
+    function setColors(diamondColor, accentColor) {
+        uniforms.uBase.value.copy(srgb(diamondColor));
+        uniforms.uAccent.value.copy(srgb(accentColor));
+        palette[0].copy(uniforms.uAccent.value);
+    }
+
+    // Everything but the grid is uniforms and the tile outline, so changes are applied
+    // in place; the program (and the context) stay as they are
+    function configure({
+        diamondSize, spacing, rowStride, stagger, shape, theta,
+        diamondColor, accentColor, opacity, evenSign, oddSign,
+    }) {
+        geometry.dispose(); // drop the old GPU buffers, they're re-uploaded on next render
+        tileGeometry(geometry, shape, diamondSize / 2);
+        uniforms.uSpacing.value = spacing;
+        uniforms.uRowStride.value = rowStride;
+        uniforms.uStagger.value = stagger;
+        uniforms.uSigns.value.set(evenSign, oddSign);
+        uniforms.uRot.value.set(Math.cos(theta), Math.sin(theta));
+        uniforms.uOpacity.value = opacity;
+        setColors(diamondColor, accentColor);
+    }
+
+    configure(options);
+
+    const material = new ShaderMaterial({
+        uniforms,
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+    });
+
+    const mesh = new Mesh(geometry, material);
+    mesh.frustumCulled = false; // positions are computed in the shader
+
+    const scene = new Scene();
+    scene.add(mesh);
+    const camera = new Camera(); // unused, the vertex shader outputs clip space
+
+    // Link the program now rather than on the first frame, so a driver that can't (too
+    // few uniforms, a shader bug) is caught while 2D is still an option
+    let linked = true;
+    renderer.debug.onShaderError = (context, program) => {
+        linked = false;
+        console.warn("DiamondBackground: WebGL program failed to link", context.getProgramInfoLog(program));
+    };
+    geometry.instanceCount = 0;
+    renderer.render(scene, camera);
+    if (!linked) {
+        geometry.dispose();
+        material.dispose();
+        renderer.dispose();
+        return null;
+    }
+
+    return {
+        get instanceCount() {
+            return geometry.instanceCount;
+        },
+
+        setSize(width, height, dpr) {
+            renderer.setPixelRatio(dpr);
+            renderer.setSize(width, height, false);
+            uniforms.uResolution.value.set(width, height);
+        },
+
+        // Rebuild the per-instance (row, col) buffer for the given cell range
+        setGrid(rowStart, rowEnd, colStart, colEnd) {
+            const count = Math.max(0, (rowEnd - rowStart) * (colEnd - colStart));
+            const cells = new Float32Array(count * 2);
+            let i = 0;
+            for (let r = rowStart; r < rowEnd; r++) {
+                for (let c = colStart; c < colEnd; c++) {
+                    cells[i++] = r;
+                    cells[i++] = c;
+                }
+            }
+            geometry.dispose(); // drop the old GPU buffers, they're re-uploaded on next render
+            geometry.setAttribute("aCell", new InstancedBufferAttribute(cells, 2));
+            geometry.setAttribute(
+                "aHighlight",
+                new InstancedBufferAttribute(new Float32Array(count), 1).setUsage(DynamicDrawUsage)
+            );
+            geometry.instanceCount = count;
+            grid = { rowStart, rowEnd, colStart, colEnd };
+            lit = [];
+        },
+
+        configure,
+        setColors,
+
+        // `highlightMap` values are { row, col, color }.
+        // `glow` is the engine's pointer state: { points: [x, y, weight][], rings: [x, y, r, fade][] }
+
+        render(offset, highlightMap, glow) {
+            const attribute = geometry.getAttribute("aHighlight");
+            if (!attribute) return; // no setGrid() yet, so nothing to draw
+            const slots = attribute.array;
+            const cols = grid.colEnd - grid.colStart;
+            const changed = lit.length > 0 || highlightMap.size > 0;
+            for (const i of lit) slots[i] = 0;
+            lit = [];
+            // Slots are handed out afresh each frame to the colours lit in it, so steps
+            // that have ended don't keep theirs; slot 0 is the accent
+            const paletteIndex = new Map(); // color string -> slot in `palette`
+            for (const { row, col, color } of highlightMap.values()) {
+                // Cells outside the grid aren't drawn anyway
+                if (row < grid.rowStart || row >= grid.rowEnd || col < grid.colStart || col >= grid.colEnd) continue;
+                let slot = color ? paletteIndex.get(color) : 0;
+                if (slot === undefined) {
+                    // More colours than slots in one frame: the rest fall back to the accent
+                    slot = paletteIndex.size + 1 < MAX_COLORS ? paletteIndex.size + 1 : 0;
+                    if (slot) palette[slot].copy(srgb(color));
+                    paletteIndex.set(color, slot);
+                }
+                const i = (row - grid.rowStart) * cols + (col - grid.colStart);
+                slots[i] = slot + 1;
+                lit.push(i);
+            }
+            if (changed) attribute.needsUpdate = true;
+
+            const points = glow ? glow.points.slice(0, MAX_TRAIL) : [];
+            points.forEach(([x, y, weight], i) => trail[i].set(x, y, weight));
+            uniforms.uTrailCount.value = points.length;
+            const ripples = glow ? glow.rings.slice(0, MAX_RIPPLES) : [];
+            ripples.forEach(([x, y, r, fade], i) => rings[i].set(x, y, r, fade));
+            uniforms.uRingCount.value = ripples.length;
+            if (glow) {
+                uniforms.uRadius.value = glow.radius;
+                uniforms.uRingWidth.value = glow.ringWidth;
+            }
+
+            uniforms.uOffset.value = offset;
+            renderer.render(scene, camera);
+        },
+
+        dispose() {
+            geometry.dispose();
+            material.dispose();
+            renderer.dispose();
+        },
+    };
+}
@@ -0,0 +1,77 @@
+import { createDiamondEngine } from "./engine";
+
+// Runs DiamondBackground's frame loop on an OffscreenCanvas handed over by the component.
+// Message protocol (main -> worker):
+//   { type: "init", canvas, props, width, height, dpr, reduced }
+//   { type: "resize", width, height, dpr }
+//   { type: "props", props }
+//   { type: "reducedMotion", reduced }
+//   { type: "pointer", x, y } (x/y null when the pointer leaves)
+//   { type: "ripple", x, y }
+//   { type: "pause" } / { type: "resume" }
+//   { type: "burst", options }
+//   { type: "palette", palette }
+//   { type: "seek", offset }
+//   { type: "dispose" }
+// Replies (worker -> main):
+//   { type: "ready", renderer } (renderer null: start over on a fresh canvas, see engine.js)
+//   { type: "drawn" } (once, after the first frame)
+//   { type: "stats", stats } (only while props.showStats is on)
+//   { type: "highlights", spawned, expired } / { type: "frame", info } (per props.emit)
+
+const scope = globalThis; // DedicatedWorkerGlobalScope
+let engine = null;
+
+scope.onmessage = ({ data }) => {
+    switch (data.type) {
+        case "init":
+            engine = createDiamondEngine(data.canvas, data.props, {
+                onDrawn: () => scope.postMessage({ type: "drawn" }),
+                onStats: (stats) => scope.postMessage({ type: "stats", stats }),
+                onHighlights: (changes) => scope.postMessage({ type: "highlights", ...changes }),
+                onFrame: (info) => scope.postMessage({ type: "frame", info }),
+            });
+            engine.setReducedMotion(data.reduced);
+            engine.resize(data.width, data.height, data.dpr);
+            engine.start();
+            scope.postMessage({ type: "ready", renderer: engine.renderer });
+            break;
+        case "resize":
+            engine?.resize(data.width, data.height, data.dpr);
+            break;
+        case "props":
+            engine?.setProps(data.props);
+            break;
+        case "reducedMotion":
+            engine?.setReducedMotion(data.reduced);
+            break;
+        case "pointer":
+            engine?.setPointer(data.x, data.y);
+            break;
+        case "ripple":
+            engine?.ripple(data.x, data.y);
+            break;
+        case "pause":
+            engine?.stop();
+            break;
+        case "resume":
+            engine?.start();
+            break;
+        case "burst":
+            engine?.burst(data.options);
+            break;
+        case "palette":
+            engine?.setPalette(data.palette);
+            break;
+        case "seek":
+            engine?.seek(data.offset);
+            break;
+        case "dispose":
+            engine?.dispose();
+            engine = null;
+            scope.close();
+            break;
+        default:
+            break;
+    }
+};
@@ -0,0 +1,21 @@
+// The address a request really came from, for per-IP rate limits in src/api/.
+//
+// X-Forwarded-For is a list each proxy appends to, so everything left of the hops our
+// own proxies added was written by the client and can't be trusted. TRUSTED_PROXIES is
+// how many proxies sit in front of the functions (e.g. 1 behind a single load
+// balancer): the client is the entry that many places from the right. Unset or 0 means
+// none, and the socket address is used.
+
+const trustedHops = Math.max(0, Number.parseInt(process.env.TRUSTED_PROXIES, 10) || 0);
+
+export function clientIp(req, hops = trustedHops) {
+    const socket = req.socket?.remoteAddress || "unknown";
+    if (!hops) return socket;
+
+    const forwarded = String(req.headers["x-forwarded-for"] || "")
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+    // Fewer entries than proxies: the header didn't pass through all of them
+    return forwarded.length >= hops ? forwarded[forwarded.length - hops] : socket;
+}
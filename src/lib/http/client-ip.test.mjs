@@ -0,0 +1,40 @@
+// Unit tests for client-ip.js; run with `npm test`.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { clientIp } from "./client-ip.js";
+
+const request = (forwarded, remoteAddress = "10.0.0.1") => ({
+    headers: forwarded === undefined ? {} : { "x-forwarded-for": forwarded },
+    socket: { remoteAddress },
+});
+
+describe("clientIp", () => {
+    it("uses the socket address when no proxies are trusted", () => {
+        assert.equal(clientIp(request("203.0.113.7"), 0), "10.0.0.1");
+    });
+
+    it("takes the entry the trusted proxies added", () => {
+        assert.equal(clientIp(request("203.0.113.7"), 1), "203.0.113.7");
+        assert.equal(clientIp(request("203.0.113.7, 198.51.100.2"), 2), "203.0.113.7");
+    });
+
+    it("ignores entries the client wrote itself", () => {
+        assert.equal(clientIp(request("1.2.3.4, 5.6.7.8, 203.0.113.7"), 1), "203.0.113.7");
+        assert.equal(clientIp(request("1.2.3.4, 203.0.113.7, 198.51.100.2"), 2), "203.0.113.7");
+    });
+
+    it("falls back to the socket when the header has fewer entries than proxies", () => {
+        assert.equal(clientIp(request("203.0.113.7"), 2), "10.0.0.1");
+        assert.equal(clientIp(request(undefined), 1), "10.0.0.1");
+    });
+
+    it("skips whitespace and empty entries", () => {
+        assert.equal(clientIp(request("  203.0.113.7 ,, "), 1), "203.0.113.7");
+        assert.equal(clientIp(request(" , "), 1), "10.0.0.1");
+    });
+
+    it("says unknown without a socket address", () => {
+        assert.equal(clientIp({ headers: {} }, 0), "unknown");
+        assert.equal(clientIp({ headers: {}, socket: {} }, 1), "unknown");
+    });
+});
@@ -0,0 +1,32 @@
+// Locale prefixes on page paths. Paths inside the site are written for the default
+// locale ("/work", "/#contact"); these move them to and from a locale's copy. CommonJS
+// so gatsby-node and the sitemap config can require it as well as the site.
+//   localizePath("/work", "ko") -> "/ko/work"     parseLocale("/ko/work/") -> { locale: "ko", path: "/work/" }
+const { defaultLocale, locales } = require("../../config/locales")
+
+const prefixed = locales.map(({ code }) => code).filter((code) => code !== defaultLocale)
+
+const localizePath = (path, locale = defaultLocale) => {
+  if (locale === defaultLocale) return path
+  // Keep any ?query or #hash after the prefixed path
+  const [, pathname, rest] = path.match(/^([^?#]*)(.*)$/)
+  return `/${locale}${pathname === "/" ? "/" : pathname}${rest}`
+}
+
+const parseLocale = (pathname = "/") => {
+  const [, first, rest] = pathname.match(/^\/([^/?#]+)(.*)$/) || []
+  if (prefixed.includes(first)) return { locale: first, path: rest && rest.startsWith("/") ? rest : `/${rest || ""}` }
+  return { locale: defaultLocale, path: pathname }
+}
+
+// The same page in every locale, for <link rel="alternate" hreflang> and the sitemap;
+// x-default (visitors matching none of them) gets the default locale's copy
+const alternatePaths = (pathname) => {
+  const { path } = parseLocale(pathname)
+  return [
+    ...locales.map(({ code, hreflang }) => ({ locale: code, hreflang, path: localizePath(path, code) })),
+    { locale: defaultLocale, hreflang: "x-default", path: localizePath(path, defaultLocale) },
+  ]
+}
+
+module.exports = { localizePath, parseLocale, alternatePaths }
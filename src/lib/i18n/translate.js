@@ -0,0 +1,51 @@
+// With extensions, so `npm test` can load this file in plain Node too
+import { defaultLocale, locales } from "../../config/locales.js";
+import en from "../../locales/en.js";
+import ko from "../../locales/ko.js";
+
+// Interface strings, one dictionary per locale in src/locales/. Keys missing from a
+// translation fall back to the default locale's wording rather than showing the key.
+const dictionaries = { en, ko };
+
+const intlTags = Object.fromEntries(locales.map(({ code, intl }) => [code, intl]));
+
+/**
+ * A `t(key, values)` for one locale. `{name}` placeholders are filled from `values`
+ * (and left as they are when no value is given); a message that is an object of
+ * plural forms ({ one, other }) is picked by `values.count`:
+ *   t("work.count", { count: 3 }) -> "3 case studies"
+ * Plain function rather than a hook, so Head exports can use it with their pageContext.
+ */
+export function translator(locale = defaultLocale) {
+    const messages = dictionaries[locale] || {};
+    const fallback = dictionaries[defaultLocale];
+    const plurals = new Intl.PluralRules(intlTags[locale] || intlTags[defaultLocale]);
+
+    return (key, values = {}) => {
+        let message = messages[key] ?? fallback[key];
+        if (message === undefined) {
+            if (process.env.NODE_ENV !== "production") console.warn(`[i18n] missing message "${key}"`);
+            return key;
+        }
+        if (typeof message === "object") {
+            message = message[plurals.select(values.count)] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+    };
+}
+
+/**
+ * A `formatDate(date)` for one locale, taking an ISO date (as frontmatter dates come
+ * out of GraphQL) and giving it in that locale's words:
+ *   "2024-03-05" -> "5 March 2024" (en), "2024년 3월 5일" (ko)
+ * In UTC, so a date-only value doesn't slip a day west of Greenwich.
+ */
+export function dateFormatter(locale = defaultLocale) {
+    const format = new Intl.DateTimeFormat(intlTags[locale] || intlTags[defaultLocale], {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+        timeZone: "UTC",
+    });
+    return (date) => format.format(new Date(date));
+}
@@ -0,0 +1,76 @@
+// "Did you mean" matching of a mistyped path against the site's real routes, for the
+// 404 page. Cheap enough to run on every page view: a site has a few hundred paths
+// at most.
+
+const MIN_SCORE = 0.45;
+const MAX_BEHIND = 0.15;
+
+// "/Services/Design/" -> "services/design"
+export function normalizePath(path) {
+    let decoded = path;
+    try {
+        decoded = decodeURIComponent(path);
+    } catch {
+        // Malformed escapes: match on the raw string
+    }
+    return decoded.toLowerCase().replace(/\.html?$/, "").replace(/^\/+|\/+$/g, "");
+}
+
+export function levenshtein(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 1 for equal strings, 0 for nothing in common
+function similarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length ? 1 - levenshtein(a, b) / length : 1;
+}
+
+/**
+ * How well `candidate` matches `requested` (both normalised), 0–1. The whole path
+ * counts, but so does the last segment on its own, so "/desing" still finds
+ * "/services/design" and "/work/38-south" finds "/work/38-south-site".
+ */
+export function scoreRoute(requested, candidate) {
+    const lastRequested = requested.split("/").pop();
+    const lastCandidate = candidate.split("/").pop();
+    let score = Math.max(similarity(requested, candidate), 0.9 * similarity(lastRequested, lastCandidate));
+    if (lastCandidate && lastRequested && (lastCandidate.startsWith(lastRequested) || lastRequested.startsWith(lastCandidate))) {
+        score = Math.max(score, 0.8);
+    }
+    // Same section of the site ("work/…", "insights/…")
+    if (requested.split("/")[0] === candidate.split("/")[0]) score += 0.1;
+    return Math.min(1, score);
+}
+
+/**
+ * The best matches for `requested` among `paths`, most likely first:
+ *   suggestRoutes("/servces/desgn", paths) -> ["/services/design/", ...]
+ */
+export function suggestRoutes(requested, paths, { limit = 3 } = {}) {
+    const target = normalizePath(requested);
+    if (!target) return [];
+    const ranked = paths
+        .map((path) => ({ path, score: scoreRoute(target, normalizePath(path)) }))
+        .filter(({ score }) => score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score || a.path.length - b.path.length);
+    // Runners-up only if they're nearly as good; one clear match beats three guesses
+    const cutoff = ranked.length ? ranked[0].score - MAX_BEHIND : 0;
+    return ranked
+        .filter(({ score }) => score >= cutoff)
+        .slice(0, limit)
+        .map(({ path }) => path);
+}
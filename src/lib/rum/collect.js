@@ -0,0 +1,114 @@
+import { onCLS, onFCP, onINP, onLCP, onTTFB } from "web-vitals";
+
+// Real-user monitoring: Core Web Vitals for the landing page, long tasks and uncaught
+// errors, each with the context needed to tell the background's cost apart (renderer,
+// DPR, reduced motion). Batched and posted to src/api/rum.js with sendBeacon.
+// Nothing is stored on the device and the session id only lives for the page load,
+// so this runs regardless of the analytics consent in lib/analytics.
+
+const ENDPOINT = "/api/rum";
+const MAX_BATCH = 20;
+const FLUSH_MS = 10000;
+const MAX_LONG_TASKS = 50;  // per page load; a janky page shouldn't flood the endpoint
+const MAX_ERRORS = 20;
+
+const session = Math.random().toString(36).slice(2, 10);
+let context = {};
+let queue = [];
+let timer = 0;
+let longTasks = 0;
+let errors = 0;
+let started = false;
+
+/**
+ * Adds fields to every event from now on, e.g. setRumContext({ background: "webgl" }).
+ * Pass undefined for a key to drop it.
+ */
+export function setRumContext(patch) {
+    context = { ...context, ...patch };
+}
+
+function snapshot() {
+    return {
+        dpr: window.devicePixelRatio || 1,
+        viewport: `${window.innerWidth}x${window.innerHeight}`,
+        reducedMotion: window.matchMedia("(prefers-reduced-motion: reduce)").matches,
+        connection: navigator.connection?.effectiveType,
+        ...context,
+    };
+}
+
+function flush() {
+    clearTimeout(timer);
+    timer = 0;
+    if (!queue.length) return;
+
+    const body = JSON.stringify({ session, events: queue });
+    queue = [];
+    const sent = navigator.sendBeacon?.(ENDPOINT, new Blob([body], { type: "application/json" }));
+    if (!sent) {
+        fetch(ENDPOINT, { method: "POST", body, keepalive: true, headers: { "Content-Type": "application/json" } })
+            .catch(() => {});
+    }
+}
+
+function record(event, path = window.location.pathname) {
+    queue.push({ ...event, path, at: Date.now(), context: snapshot() });
+    if (queue.length >= MAX_BATCH) flush();
+    else if (!timer) timer = setTimeout(flush, FLUSH_MS);
+}
+
+function errorEvent(message, error, source) {
+    if (errors++ >= MAX_ERRORS) return;
+    record({
+        kind: "error",
+        name: error?.name || "Error",
+        message: String(message || error?.message || "Unknown error"),
+        stack: error?.stack,
+        source,
+    });
+}
+
+/**
+ * Starts collecting; call once from gatsby-browser.js. Vitals are reported against the
+ * page the visit landed on (web-vitals doesn't measure client-side navigations), the
+ * rest against the page they happened on.
+ */
+export function startRum() {
+    if (started || typeof window === "undefined") return;
+    started = true;
+
+    const landing = window.location.pathname;
+    const onVital = ({ name, value, rating, navigationType }) => {
+        record({ kind: "vital", name, value, rating, navigationType }, landing);
+    };
+    onLCP(onVital);
+    onINP(onVital);
+    onCLS(onVital);
+    onFCP(onVital);
+    onTTFB(onVital);
+
+    try {
+        new PerformanceObserver((list) => {
+            for (const entry of list.getEntries()) {
+                if (longTasks++ >= MAX_LONG_TASKS) return;
+                record({ kind: "longtask", name: "longtask", value: entry.duration });
+            }
+        }).observe({ type: "longtask", buffered: true });
+    } catch {
+        // No Long Tasks API (Safari, Firefox)
+    }
+
+    window.addEventListener("error", (e) => {
+        errorEvent(e.message, e.error, e.filename && `${e.filename}:${e.lineno}:${e.colno}`);
+    });
+    window.addEventListener("unhandledrejection", (e) => {
+        errorEvent(e.reason?.message || e.reason, e.reason instanceof Error ? e.reason : null, "unhandledrejection");
+    });
+
+    // After web-vitals' own listeners, so the final CLS/INP values make this batch
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden") flush();
+    });
+    window.addEventListener("pagehide", flush);
+}
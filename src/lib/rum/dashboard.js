@@ -0,0 +1,131 @@
+import { VITALS } from "./schema";
+
+// Percentile summaries of stored RUM events and the HTML page /api/rum serves in
+// development.
+
+// Google's "good" / "poor" thresholds, https://web.dev/articles/vitals
+const thresholds = {
+    LCP: [2500, 4000],
+    INP: [200, 500],
+    CLS: [0.1, 0.25],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800],
+    longtask: [50, 200],
+};
+
+// Nearest-rank percentile of an ascending array
+export function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function stats(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return { count: sorted.length, p50: percentile(sorted, 50), p75: percentile(sorted, 75), p95: percentile(sorted, 95) };
+}
+
+function groupBy(events, key) {
+    const groups = new Map();
+    for (const event of events) {
+        const name = key(event);
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(event);
+    }
+    return groups;
+}
+
+/**
+ * {
+ *   metrics:  { LCP: { all, byBackground: { webgl, 2d, none, ... } }, ..., longtask },
+ *   errors:   [{ message, name, source, count, lastSeen, paths }] most frequent first,
+ *   sessions, since
+ * }
+ * Each stats entry is { count, p50, p75, p95 }.
+ */
+export function summarize(events) {
+    const metrics = {};
+    for (const name of [...VITALS, "longtask"]) {
+        const matching = events.filter((event) => event.name === name);
+        const byBackground = {};
+        for (const [background, group] of groupBy(matching, (event) => event.context?.background || "none")) {
+            byBackground[background] = stats(group.map((event) => event.value));
+        }
+        metrics[name] = { all: stats(matching.map((event) => event.value)), byBackground };
+    }
+
+    const errors = [...groupBy(events.filter((event) => event.kind === "error"), (event) => `${event.name}: ${event.message}`)]
+        .map(([, group]) => ({
+            name: group[0].name,
+            message: group[0].message,
+            source: group[group.length - 1].source,
+            stack: group[group.length - 1].stack,
+            count: group.length,
+            lastSeen: Math.max(...group.map((event) => event.at)),
+            paths: [...new Set(group.map((event) => event.path))],
+        }))
+        .sort((a, b) => b.count - a.count);
+
+    return {
+        metrics,
+        errors,
+        sessions: new Set(events.map((event) => event.session)).size,
+        since: events.length ? events[0].at : null,
+    };
+}
+
+const escape = (value) =>
+    String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+function format(name, value) {
+    if (value === null) return "–";
+    return name === "CLS" ? value.toFixed(3) : `${Math.round(value)} ms`;
+}
+
+function cell(name, value) {
+    const [good, poor] = thresholds[name];
+    const rating = value === null ? "" : value <= good ? "good" : value <= poor ? "ok" : "poor";
+    return `<td class="${rating}">${format(name, value)}</td>`;
+}
+
+function metricRows(name, { all, byBackground }) {
+    const row = (label, s) => `<tr><th>${escape(label)}</th><td>${s.count}</td>${cell(name, s.p50)}${cell(name, s.p75)}${cell(name, s.p95)}</tr>`;
+    return [
+        row(name, all),
+        ...Object.entries(byBackground).map(([background, s]) => row(`  ${name} · ${background}`, s)),
+    ].join("");
+}
+
+export function renderDashboard(summary) {
+    const { metrics, errors, sessions, since } = summary;
+    const errorRows = errors
+        .map((error) => `<tr><td>${error.count}</td><td><strong>${escape(error.name)}</strong>: ${escape(error.message)}
+            <br><small>${escape(error.source || "")} · ${escape(error.paths.join(", "))} · last ${new Date(error.lastSeen).toISOString()}</small>
+            ${error.stack ? `<details><summary>Stack</summary><pre>${escape(error.stack)}</pre></details>` : ""}</td></tr>`)
+        .join("");
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>RUM · 38 South</title>
+<style>
+    body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #111; }
+    table { border-collapse: collapse; margin-bottom: 2rem; }
+    th, td { padding: 0.3rem 0.8rem; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+    th { white-space: pre; font-weight: 500; }
+    .good { background: #e3f6e8; } .ok { background: #fff4d6; } .poor { background: #fde2e0; }
+    pre { white-space: pre-wrap; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>Real-user metrics</h1>
+<p>${sessions} page loads${since ? ` since ${new Date(since).toISOString()}` : ""}. Vitals are per landing page, split by background renderer. <a href="?format=json">JSON</a></p>
+<table>
+<thead><tr><th>Metric</th><th>Samples</th><th>p50</th><th>p75</th><th>p95</th></tr></thead>
+<tbody>${Object.entries(metrics).map(([name, metric]) => metricRows(name, metric)).join("")}</tbody>
+</table>
+<h2>Errors</h2>
+${errorRows ? `<table><thead><tr><th>Count</th><th>Error</th></tr></thead><tbody>${errorRows}</tbody></table>` : "<p>None recorded.</p>"}
+</body>
+</html>`;
+}
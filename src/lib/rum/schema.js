@@ -0,0 +1,60 @@
+// What /api/rum accepts from lib/rum/collect.js. Anything can be posted to the
+// endpoint, so batches are cut down to known kinds and fields with bounded sizes
+// before they're stored.
+
+export const VITALS = ["LCP", "INP", "CLS", "FCP", "TTFB"];
+export const MAX_EVENTS = 50;
+
+const text = (value, max) => (typeof value === "string" ? value.slice(0, max) : undefined);
+const number = (value) => (Number.isFinite(value) && value >= 0 ? value : undefined);
+
+function cleanContext(context = {}) {
+    return {
+        dpr: number(context.dpr),
+        viewport: text(context.viewport, 20),
+        reducedMotion: context.reducedMotion === true,
+        connection: text(context.connection, 10),
+        background: text(context.background, 20),
+    };
+}
+
+function cleanEvent(event) {
+    if (!event || typeof event !== "object") return null;
+    const base = {
+        kind: event.kind,
+        path: text(event.path, 200) || "/",
+        at: number(event.at) || Date.now(),
+        context: cleanContext(event.context),
+    };
+
+    if (event.kind === "vital" && VITALS.includes(event.name) && number(event.value) !== undefined) {
+        return { ...base, name: event.name, value: event.value, rating: text(event.rating, 20) };
+    }
+    if (event.kind === "longtask" && number(event.value) !== undefined) {
+        return { ...base, name: "longtask", value: event.value };
+    }
+    if (event.kind === "error") {
+        return {
+            ...base,
+            name: text(event.name, 100) || "Error",
+            message: text(event.message, 500) || "Unknown error",
+            stack: text(event.stack, 2000),
+            source: text(event.source, 300),
+        };
+    }
+    return null;
+}
+
+/**
+ * The usable events of a posted batch ({ session, events }), each tagged with the
+ * session and user agent. Returns [] for anything malformed.
+ */
+export function cleanBatch(body, userAgent) {
+    if (!body || !Array.isArray(body.events)) return [];
+    const session = text(body.session, 20);
+    return body.events
+        .slice(0, MAX_EVENTS)
+        .map(cleanEvent)
+        .filter(Boolean)
+        .map((event) => ({ ...event, session, userAgent: text(userAgent, 300) }));
+}
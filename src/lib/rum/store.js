@@ -0,0 +1,32 @@
+import fs from "fs";
+import path from "path";
+
+// RUM events as JSON lines in one local file (RUM_FILE, default rum.jsonl in the
+// project root). Appends are cheap and the file can be grepped or loaded into
+// anything; it's meant for development and small deployments, not a metrics store.
+
+export const defaultFile = () => path.resolve(process.env.RUM_FILE || "rum.jsonl");
+
+export async function appendEvents(events, file = defaultFile()) {
+    if (!events.length) return;
+    await fs.promises.appendFile(file, events.map((event) => JSON.stringify(event)).join("\n") + "\n");
+}
+
+// The most recent `limit` events, oldest first; [] before anything has been stored
+export async function readEvents({ limit = 50000, file = defaultFile() } = {}) {
+    let contents;
+    try {
+        contents = await fs.promises.readFile(file, "utf8");
+    } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+    }
+    const lines = contents.split("\n").filter(Boolean).slice(-limit);
+    return lines.flatMap((line) => {
+        try {
+            return [JSON.parse(line)];
+        } catch {
+            return []; // a write cut short
+        }
+    });
+}
@@ -0,0 +1,7 @@
+// Where gatsby/og-image.js writes a page's share image, and where SEO looks for it.
+// CommonJS so gatsby-node can require it as well as the site importing it.
+//   "/" -> "/og/index.png", "/services/design/" -> "/og/services/design.png"
+module.exports.ogImagePath = (pathname = "/") => {
+  const trimmed = pathname.replace(/\/+$/, "")
+  return `/og${trimmed || "/index"}.png`
+}
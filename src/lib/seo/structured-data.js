@@ -0,0 +1,72 @@
+// schema.org JSON-LD builders for <SEO schema={...}>. Each returns a plain object;
+// SEO adds the @context and checks `requiredFields` when the page is rendered.
+import { localizePath } from "../i18n/paths";
+import { translator } from "../i18n/translate";
+
+// What Google needs for each type to be eligible for rich results
+export const requiredFields = {
+  Organization: ["name", "url", "logo"],
+  WebSite: ["name", "url"],
+  Article: ["headline", "datePublished", "author", "image"],
+  Service: ["name", "provider"],
+  BreadcrumbList: ["itemListElement"],
+}
+
+export const organization = (site) => ({
+  "@type": "Organization",
+  "@id": `${site.siteUrl}/#organization`,
+  name: site.title,
+  url: site.siteUrl,
+  logo: site.image && `${site.siteUrl}${site.image}`,
+})
+
+export const website = (site) => ({
+  "@type": "WebSite",
+  "@id": `${site.siteUrl}/#website`,
+  name: site.title,
+  url: site.siteUrl,
+  description: site.description,
+  publisher: { "@id": `${site.siteUrl}/#organization` },
+})
+
+export const article = ({ headline, description, url, image, datePublished, dateModified, author }) => ({
+  "@type": "Article",
+  headline,
+  description,
+  url,
+  image,
+  datePublished,
+  dateModified: dateModified || datePublished,
+  author: author && { "@type": "Person", name: author },
+})
+
+export const service = (site, { name, description, url }) => ({
+  "@type": "Service",
+  name,
+  description,
+  url,
+  provider: { "@id": `${site.siteUrl}/#organization` },
+})
+
+// `items`: [{ name, path }] from the top level down, paths in the page's locale; the
+// home page of that locale (`site.locale`, from useSiteMetadata) is added first
+export const breadcrumbs = (site, items) => ({
+  "@type": "BreadcrumbList",
+  itemListElement: [{ name: translator(site.locale)("breadcrumbs.home"), path: localizePath("/", site.locale) }, ...items].map(({ name, path }, i) => ({
+    "@type": "ListItem",
+    position: i + 1,
+    name,
+    item: `${site.siteUrl}${path}`,
+  })),
+})
+
+// Required fields missing from `schema`, as "Type.field" strings
+export function missingFields(schema) {
+  const required = requiredFields[schema["@type"]] || []
+  return required
+    .filter((field) => {
+      const value = schema[field]
+      return value === undefined || value === null || value === "" || (Array.isArray(value) && !value.length)
+    })
+    .map((field) => `${schema["@type"]}.${field}`)
+}
@@ -0,0 +1,43 @@
+import { defaultTheme, themes } from "../../config/tokens";
+
+// Light/dark theme choice. The visitor picks "light", "dark" or "system" (follow the
+// OS); the resolved theme is set as <html data-theme="…">, which switches the custom
+// properties from src/config/tokens.js.
+
+export const STORAGE_KEY = "38south:theme";
+export const PREFERENCES = ["system", "light", "dark"];
+export const THEMES = Object.keys(themes);
+export const LIGHT_QUERY = "(prefers-color-scheme: light)";
+
+export function readPreference() {
+    try {
+        const stored = window.localStorage.getItem(STORAGE_KEY);
+        return PREFERENCES.includes(stored) ? stored : "system";
+    } catch {
+        return "system";
+    }
+}
+
+export function savePreference(preference) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, preference);
+    } catch {
+        // Storage disabled: the theme holds until the next page load
+    }
+}
+
+export function resolveTheme(preference, prefersLight) {
+    if (THEMES.includes(preference)) return preference;
+    return prefersLight ? "light" : defaultTheme;
+}
+
+/**
+ * Inline <head> script (see gatsby-ssr.js) that sets data-theme before first paint,
+ * so a light-theme visitor never sees a flash of the dark page. Mirrors the two
+ * functions above.
+ */
+export function themeInitScript() {
+    return `try{var p=localStorage.getItem(${JSON.stringify(STORAGE_KEY)});
+var t=${JSON.stringify(THEMES)}.indexOf(p)>=0?p:matchMedia(${JSON.stringify(LIGHT_QUERY)}).matches?"light":${JSON.stringify(defaultTheme)};
+document.documentElement.setAttribute("data-theme",t);}catch(e){}`;
+}
@@ -0,0 +1,122 @@
+// Interface strings for English, the default locale (see src/config/locales.js). Every
+// key used on the site lives here; other locales translate what they can and fall
+// back to these. `{name}` is a placeholder; { one, other } are plural forms.
+
+const en = {
+    "layout.skip": "Skip to content",
+
+    "header.home": "38 South home",
+    "header.menu": "Menu",
+    "header.nav": "Main",
+    "nav.services": "Services",
+    "nav.work": "Work",
+    "nav.insights": "Insights",
+    "nav.contact": "Contact",
+    "language.label": "Language",
+    "language.switch": "Read this page in {language}",
+
+    "footer.copyright": "© 38 South",
+    "footer.cookies": "Cookie preferences",
+
+    "theme.system": "System theme",
+    "theme.light": "Light theme",
+    "theme.dark": "Dark theme",
+    "theme.switch": "{current} (switch to {next})",
+
+    "motion.label": "Background animation",
+    "motion.pause": "Pause background animation",
+    "motion.play": "Play background animation",
+    "motion.highlightsOff": "Turn off background highlights",
+    "motion.highlightsOn": "Turn on background highlights",
+
+    "consent.label": "Cookie consent",
+    "consent.text": "We'd like to use cookies to understand how the site is used and to measure our marketing. Nothing is set unless you agree.",
+    "consent.acceptAll": "Accept all",
+    "consent.rejectAll": "Reject all",
+    "consent.preferences": "Preferences",
+    "consent.title": "Cookie preferences",
+    "consent.save": "Save choices",
+    "consent.necessary.label": "Necessary",
+    "consent.necessary.description": "Remembers this choice and your animation settings. Always on.",
+    "consent.analytics.label": "Analytics",
+    "consent.analytics.description": "Anonymous statistics on which pages are visited and how, so we can improve the site.",
+    "consent.marketing.label": "Marketing",
+    "consent.marketing.description": "Lets advertising platforms measure our campaigns and show you relevant ads elsewhere.",
+
+    "contact.title": "Get in touch",
+    "contact.field.name": "Name",
+    "contact.field.email": "Email",
+    "contact.field.company": "Company",
+    "contact.field.message": "Message",
+    "contact.optional": "(optional)",
+    "contact.send": "Send message",
+    "contact.sending": "Sending…",
+    "contact.failed": "Something went wrong, please try again",
+    "contact.offline": "We couldn't reach the server, please check your connection and try again",
+    "contact.sent.title": "Thanks, we'll be in touch.",
+    "contact.sent.text": "Your message is on its way to us.",
+    "contact.error.required": "{field} is required",
+    "contact.error.minLength": "{field} needs at least {count} characters",
+    "contact.error.maxLength": "{field} can be at most {count} characters",
+    "contact.error.email": "Enter a valid email address",
+    "contact.error.expired": "This form has expired, please reload the page and try again",
+    "contact.error.rateLimited": "Too many messages, please try again later",
+    "contact.error.delivery": "We couldn't send your message, please try again",
+
+    "lightbox.label": "Image viewer",
+    "lightbox.previous": "Previous image",
+    "lightbox.next": "Next image",
+    "lightbox.close": "Close",
+
+    "home.title": "38 South - Elevating products and inspiring teams; leverage our experience to win.",
+    "home.logo": "Logo",
+    "home.services": "Services",
+    "home.contact": "Contact",
+    "home.more": "More about {service}",
+
+    "service.back": "Back to all services",
+
+    "work.title": "Work",
+    "work.description": "Case studies from 38 South.",
+    "work.filter": "Filter by service",
+    "work.all": "All",
+    "work.count": { one: "{count} case study", other: "{count} case studies" },
+    "work.services": "Services",
+    "work.stack": "Stack",
+    "work.image": "{title}, image {number}",
+    "work.viewImage": "View {image} full size",
+    "work.more": "More case studies",
+    "work.allWork": "All work",
+
+    "insights.title": "Insights",
+    "insights.description": "Insights from 38 South.",
+    "insights.titlePage": "Insights, page {page}",
+    "insights.subscribe": "Subscribe:",
+    "insights.pages": "Pages",
+    "insights.newer": "← Newer",
+    "insights.older": "Older →",
+    "insights.pageOf": "Page {page} of {pages}",
+    "insights.tag": "Insights: {tag}",
+    "insights.tagDescription": "Posts tagged {tag}.",
+    "insights.all": "All insights",
+    "insights.more": "More insights",
+    "insights.empty": "No posts yet.",
+    "insights.tags": "Tags",
+    "insights.by": "By {author}",
+    "insights.readingTime": "{minutes} min read",
+
+    "breadcrumbs.home": "Home",
+
+    "notFound.title": "Page not found",
+    "notFound.heading": "We couldn’t find that page",
+    "notFound.missing": "Nothing lives at {path}. It may have moved, or the link may be mistyped.",
+    "notFound.suggestions": "Did you mean",
+    "notFound.elsewhere": "Elsewhere on the site",
+    "notFound.home": "Home",
+    "notFound.contact": "Contact us",
+    "notFound.kind.services": "Service",
+    "notFound.kind.work": "Case study",
+    "notFound.kind.blog": "Insight",
+};
+
+export default en;
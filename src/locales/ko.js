@@ -0,0 +1,121 @@
+// Interface strings for Korean. Anything missing falls back to src/locales/en.js.
+// Korean has no plural forms, so counted messages only need `other`.
+
+const ko = {
+    "layout.skip": "본문으로 건너뛰기",
+
+    "header.home": "38 South 홈",
+    "header.menu": "메뉴",
+    "header.nav": "주 메뉴",
+    "nav.services": "서비스",
+    "nav.work": "프로젝트",
+    "nav.insights": "인사이트",
+    "nav.contact": "문의",
+    "language.label": "언어",
+    "language.switch": "이 페이지를 {language}(으)로 보기",
+
+    "footer.copyright": "© 38 South",
+    "footer.cookies": "쿠키 설정",
+
+    "theme.system": "시스템 테마",
+    "theme.light": "밝은 테마",
+    "theme.dark": "어두운 테마",
+    "theme.switch": "{current} ({next}(으)로 전환)",
+
+    "motion.label": "배경 애니메이션",
+    "motion.pause": "배경 애니메이션 일시 정지",
+    "motion.play": "배경 애니메이션 재생",
+    "motion.highlightsOff": "배경 하이라이트 끄기",
+    "motion.highlightsOn": "배경 하이라이트 켜기",
+
+    "consent.label": "쿠키 동의",
+    "consent.text": "사이트 이용 방식을 이해하고 마케팅 효과를 측정하기 위해 쿠키를 사용하고자 합니다. 동의하기 전에는 어떤 쿠키도 저장되지 않습니다.",
+    "consent.acceptAll": "모두 허용",
+    "consent.rejectAll": "모두 거부",
+    "consent.preferences": "설정",
+    "consent.title": "쿠키 설정",
+    "consent.save": "선택 저장",
+    "consent.necessary.label": "필수",
+    "consent.necessary.description": "이 선택과 애니메이션 설정을 기억합니다. 항상 사용됩니다.",
+    "consent.analytics.label": "분석",
+    "consent.analytics.description": "어떤 페이지를 어떻게 방문하는지에 대한 익명 통계로, 사이트 개선에 사용합니다.",
+    "consent.marketing.label": "마케팅",
+    "consent.marketing.description": "광고 플랫폼이 캠페인 성과를 측정하고 다른 곳에서 관련 광고를 보여줄 수 있게 합니다.",
+
+    "contact.title": "문의하기",
+    "contact.field.name": "이름",
+    "contact.field.email": "이메일",
+    "contact.field.company": "회사",
+    "contact.field.message": "메시지",
+    "contact.optional": "(선택)",
+    "contact.send": "메시지 보내기",
+    "contact.sending": "보내는 중…",
+    "contact.failed": "문제가 발생했습니다. 다시 시도해 주세요",
+    "contact.offline": "서버에 연결할 수 없습니다. 인터넷 연결을 확인한 뒤 다시 시도해 주세요",
+    "contact.sent.title": "감사합니다. 곧 연락드리겠습니다.",
+    "contact.sent.text": "메시지가 전송되었습니다.",
+    "contact.error.required": "{field}을(를) 입력해 주세요",
+    "contact.error.minLength": "{field}은(는) {count}자 이상 입력해 주세요",
+    "contact.error.maxLength": "{field}은(는) {count}자까지 입력할 수 있습니다",
+    "contact.error.email": "올바른 이메일 주소를 입력해 주세요",
+    "contact.error.expired": "양식이 만료되었습니다. 페이지를 새로고침한 뒤 다시 시도해 주세요",
+    "contact.error.rateLimited": "메시지를 너무 많이 보냈습니다. 잠시 후 다시 시도해 주세요",
+    "contact.error.delivery": "메시지를 보내지 못했습니다. 다시 시도해 주세요",
+
+    "lightbox.label": "이미지 뷰어",
+    "lightbox.previous": "이전 이미지",
+    "lightbox.next": "다음 이미지",
+    "lightbox.close": "닫기",
+
+    "home.title": "38 South - 제품의 가치를 높이고 팀에 영감을 줍니다",
+    "home.logo": "로고",
+    "home.services": "서비스",
+    "home.contact": "문의",
+    "home.more": "{service} 자세히 보기",
+
+    "service.back": "전체 서비스로 돌아가기",
+
+    "work.title": "프로젝트",
+    "work.description": "38 South의 프로젝트 사례입니다.",
+    "work.filter": "서비스별 보기",
+    "work.all": "전체",
+    "work.count": { other: "프로젝트 {count}건" },
+    "work.services": "서비스",
+    "work.stack": "기술 스택",
+    "work.image": "{title}, 이미지 {number}",
+    "work.viewImage": "{image} 크게 보기",
+    "work.more": "다른 프로젝트",
+    "work.allWork": "전체 프로젝트",
+
+    "insights.title": "인사이트",
+    "insights.description": "38 South의 인사이트입니다.",
+    "insights.titlePage": "인사이트, {page}페이지",
+    "insights.subscribe": "구독:",
+    "insights.pages": "페이지",
+    "insights.newer": "← 최신 글",
+    "insights.older": "이전 글 →",
+    "insights.pageOf": "{pages}페이지 중 {page}페이지",
+    "insights.tag": "인사이트: {tag}",
+    "insights.tagDescription": "{tag} 태그가 달린 글입니다.",
+    "insights.all": "전체 인사이트",
+    "insights.more": "다른 인사이트",
+    "insights.empty": "아직 글이 없습니다.",
+    "insights.tags": "태그",
+    "insights.by": "글쓴이 {author}",
+    "insights.readingTime": "{minutes}분 분량",
+
+    "breadcrumbs.home": "홈",
+
+    "notFound.title": "페이지를 찾을 수 없습니다",
+    "notFound.heading": "페이지를 찾을 수 없습니다",
+    "notFound.missing": "{path}에는 페이지가 없습니다. 주소가 바뀌었거나 링크에 오타가 있을 수 있습니다.",
+    "notFound.suggestions": "이 페이지를 찾으셨나요?",
+    "notFound.elsewhere": "다른 페이지",
+    "notFound.home": "홈",
+    "notFound.contact": "문의하기",
+    "notFound.kind.services": "서비스",
+    "notFound.kind.work": "프로젝트",
+    "notFound.kind.blog": "인사이트",
+};
+
+export default ko;
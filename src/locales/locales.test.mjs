@@ -0,0 +1,9 @@
+// Every locale translates every interface string; run with `npm test`.
+import assert from "node:assert/strict";
+import { it } from "node:test";
+import en from "./en.js";
+import ko from "./ko.js";
+
+it("ko has every key en has", () => {
+    assert.deepEqual(Object.keys(en).filter((key) => !(key in ko)), []);
+});
@@ -1,49 +1,131 @@
-import * as React from "react"
-import { Link } from "gatsby"
-
-const pageStyles = {
-  color: "#232129",
-  padding: "96px",
-  fontFamily: "-apple-system, Roboto, sans-serif, serif",
-}
-const headingStyles = {
-  marginTop: 0,
-  marginBottom: 64,
-  maxWidth: 320,
-}
-
-const paragraphStyles = {
-  marginBottom: 48,
-}
-const codeStyles = {
-  color: "#8A6534",
-  padding: 4,
-  backgroundColor: "#FFF4DB",
-  fontSize: "1.25rem",
-  borderRadius: 4,
-}
-
-const NotFoundPage = () => {
+import React, { useEffect, useState } from 'react';
+import { graphql, Link } from 'gatsby';
+import '../scss/global.scss';
+import '../scss/not-found.scss';
+import { SEO } from '../components/seo';
+import { useLocale } from '../hooks/use-locale';
+import { parseLocale } from '../lib/i18n/paths';
+import { translator } from '../lib/i18n/translate';
+import { normalizePath, suggestRoutes } from '../lib/routes/suggest';
+import { referrer } from '../lib/analytics/referrer';
+import { track } from '../lib/analytics/track';
+
+// Gatsby's own pages and the paginated /insights/2 style lists aren't worth suggesting
+const isCandidate = (path) =>
+  !/^\/(404|dev-404-page)/.test(path) && !/\/\d+\/?$/.test(path) && !/\s/.test(path);
+
+// "/insights/tags/design-systems/" -> "Design systems"
+const labelFromPath = (path) => {
+  const last = normalizePath(path).split('/').pop();
+  const words = last.replace(/-/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Every real route in this locale, without the locale prefix, titled from its markdown
+// where there is some
+const buildRoutes = (data, locale, t) => {
+  const content = new Map(
+    data.content.nodes
+      .filter(({ fields }) => fields.path)
+      .map(({ fields, frontmatter }) => [
+        normalizePath(fields.path),
+        { title: frontmatter.title, kind: t(`notFound.kind.${fields.collection}`) },
+      ])
+  );
+  return data.pages.nodes
+    .map(({ path }) => parseLocale(path))
+    .filter((page) => page.locale === locale && isCandidate(page.path))
+    .map(({ path }) => ({
+      path,
+      ...(content.get(normalizePath(path)) || { title: path === '/' ? t('notFound.home') : labelFromPath(path) }),
+    }));
+};
+
+// Gatsby serves this for any unknown path (under /ko/, the Korean copy; see onCreatePage
+// in gatsby-node.js). The requested path is only known in the browser (the HTML is
+// built once per locale), so suggestions render after hydration. Paths are matched
+// without their locale prefix and suggested in the page's locale.
+const NotFoundPage = ({ data, location }) => {
+  const [requested, setRequested] = useState(null);
+  const { locale, t, localize } = useLocale();
+  const routes = buildRoutes(data, locale, t);
+
+  useEffect(() => {
+    const { pathname, search } = location;
+    setRequested(pathname);
+    // A visit to /404 (or /ko/404) itself isn't a broken link
+    if (/^\/404(\.html)?\/?$/.test(parseLocale(pathname).path)) return;
+    track('page_not_found', {
+      page_path: pathname + search,
+      page_location: window.location.href,
+      page_referrer: referrer(),
+    });
+  }, [location]);
+
+  const suggestions = requested
+    ? suggestRoutes(parseLocale(requested).path, routes.map(({ path }) => path)).map((path) => routes.find((route) => route.path === path))
+    : [];
+  const [beforePath, afterPath] = t('notFound.missing').split('{path}');
+
   return (
-    <main style={pageStyles}>
-      <h1 style={headingStyles}>Page not found</h1>
-      <p style={paragraphStyles}>
-        Sorry 😔, we couldn’t find what you were looking for.
-        <br />
-        {process.env.NODE_ENV === "development" ? (
-          <>
-            <br />
-            Try creating a page in <code style={codeStyles}>src/pages/</code>.
-            <br />
-          </>
-        ) : null}
-        <br />
-        <Link to="/">Go home</Link>.
-      </p>
-    </main>
-  )
-}
-
-export default NotFoundPage
-
-export const Head = () => <title>Not found</title>
+    <div className="not-found">
+      <p className="not-found-code" aria-hidden="true">404</p>
+      <h1>{t('notFound.heading')}</h1>
+      {requested && (
+        <p>
+          {beforePath}<code>{requested}</code>{afterPath}
+        </p>
+      )}
+
+      {suggestions.length > 0 && (
+        <section className="not-found-suggestions" aria-labelledby="not-found-suggestions">
+          <h2 id="not-found-suggestions">{t('notFound.suggestions')}</h2>
+          <ul>
+            {suggestions.map(({ path, title, kind }) => (
+              <li key={path}>
+                <Link to={localize(path)}>
+                  {kind && <span className="not-found-kind">{kind}</span>}
+                  {title}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <nav className="not-found-links" aria-label={t('notFound.elsewhere')}>
+        <Link to={localize('/')}>{t('notFound.home')}</Link>
+        <Link to={localize('/work')}>{t('nav.work')}</Link>
+        <Link to={localize('/insights')}>{t('nav.insights')}</Link>
+        <Link to={localize('/#contact')}>{t('notFound.contact')}</Link>
+      </nav>
+    </div>
+  );
+};
+
+export default NotFoundPage;
+
+export const query = graphql`
+  query NotFoundPage($locale: String!) {
+    pages: allSitePage {
+      nodes {
+        path
+      }
+    }
+    content: allMarkdownRemark(filter: { fields: { hidden: { eq: false }, locales: { eq: $locale } } }) {
+      nodes {
+        fields {
+          path
+          collection
+        }
+        frontmatter {
+          title
+        }
+      }
+    }
+  }
+`;
+
+export const Head = ({ location, pageContext }) => (
+  <SEO title={`${translator(pageContext.locale)('notFound.title')} - 38 South`} pathname={location.pathname} noindex />
+);
@@ -1,35 +1,52 @@
 import React from 'react';
+import { graphql, Link } from 'gatsby';
 import '../scss/global.scss';
 import { StaticImage } from 'gatsby-plugin-image';
 import { SEO } from '../components/seo';
+import Accordion from '../components/Accordion';
+import ContactForm from '../components/ContactForm';
+import Section from '../components/Section';
 import DiamondGrid from '../components/diamondGrid';
-import DiamondBackground from "../components/DiamondBackground";
+import { useLocale } from '../hooks/use-locale';
+import { translator } from '../lib/i18n/translate';
+
+// Sections are the targets of the header's /#services and /#contact links
+const IndexPage = ({ data }) => {
+  const { locale, t, localize } = useLocale();
+  const services = data.services.nodes.map(({ fields, frontmatter }) => ({
+    id: fields.slug,
+    icon: frontmatter.icon,
+    title: frontmatter.title,
+    content: (
+      <>
+        <p>{frontmatter.summary}</p>
+        <Link to={localize(`/services/${fields.slug}`)}>
+          {t('home.more', { service: frontmatter.title.toLocaleLowerCase(locale) })}
+        </Link>
+      </>
+    ),
+  }));
 
-const IndexPage = () => {
   return (
     <>
-      <DiamondBackground
-        diamondSize={20}
-        gap={24}
-        speed={10}
-        diamondColor="#121212"
-        accentColor="#ff7a00"
-        highlightCount={16}
-        highlightEveryMs={10000}
-        opacity={1}
-        targetFps={0}
-        direction="SW_NE"   // flip to "NE_SW" if you want the opposite diagonal
-      />
-      <main>
+      <Section id="intro" label="38 South" className="section-intro">
         <StaticImage
-          src="../images/38.svg" 
-          alt="Logo"
+          src="../images/38.svg"
+          alt={t('home.logo')}
+          className="site-logo"
           style={{
             width: "100%",
             height: "auto"
           }}
         />
-      </main>
+      </Section>
+      <Section id="services" label={t('home.services')}>
+        <h2 className="section-title">{t('home.services')}</h2>
+        <Accordion items={services} />
+      </Section>
+      <Section id="contact" label={t('home.contact')}>
+        <ContactForm />
+      </Section>
       {/*<DiamondGrid />*/}
     </>
   )
@@ -37,4 +54,26 @@ const IndexPage = () => {
 
 export default IndexPage;
 
-export const Head = () => <SEO title="38 South - Elevating products and inspiring teams; leverage our experience to win." />
+export const query = graphql`
+  query IndexPage($locale: String!) {
+    services: allMarkdownRemark(
+      filter: { fields: { collection: { eq: "services" }, hidden: { eq: false }, locales: { eq: $locale } } }
+      sort: { frontmatter: { order: ASC } }
+    ) {
+      nodes {
+        fields {
+          slug
+        }
+        frontmatter {
+          title
+          icon
+          summary
+        }
+      }
+    }
+  }
+`;
+
+export const Head = ({ location, pageContext }) => (
+  <SEO title={translator(pageContext.locale)('home.title')} pathname={location.pathname} />
+);
@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { graphql, Link } from 'gatsby';
+import { GatsbyImage, getImage } from 'gatsby-plugin-image';
+import '../scss/global.scss';
+import '../scss/work.scss';
+import { SEO } from '../components/seo';
+import { useLocale } from '../hooks/use-locale';
+import { translator } from '../lib/i18n/translate';
+import { breadcrumbs } from '../lib/seo/structured-data';
+
+// `?service=<slug>` filters the list; kept in the URL so a filtered view can be shared
+const readFilter = () => new URLSearchParams(window.location.search).get('service');
+
+const WorkPage = ({ data }) => {
+  const services = data.services.nodes;
+  const studies = data.work.nodes;
+  const [filter, setFilter] = useState(null);
+  const { t, localize } = useLocale();
+
+  useEffect(() => {
+    setFilter(readFilter());
+    const onPopState = () => setFilter(readFilter());
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const choose = (slug) => {
+    setFilter(slug);
+    window.history.pushState(null, '', slug ? `?service=${slug}` : window.location.pathname);
+  };
+
+  // Only offer services some case study actually uses
+  const used = new Set(studies.flatMap(({ frontmatter }) => frontmatter.services || []));
+  const shown = filter
+    ? studies.filter(({ frontmatter }) => (frontmatter.services || []).includes(filter))
+    : studies;
+
+  return (
+    <div className="work">
+      <h1>{t('work.title')}</h1>
+
+      <div className="work-filter" role="group" aria-label={t('work.filter')}>
+        <button type="button" className="work-tag" aria-pressed={!filter} onClick={() => choose(null)}>{t('work.all')}</button>
+        {services.filter(({ fields }) => used.has(fields.slug)).map(({ fields, frontmatter }) => (
+          <button
+            key={fields.slug}
+            type="button"
+            className="work-tag"
+            aria-pressed={filter === fields.slug}
+            onClick={() => choose(fields.slug)}
+          >
+            {frontmatter.title}
+          </button>
+        ))}
+      </div>
+
+      <p className="work-count" aria-live="polite">
+        {t('work.count', { count: shown.length })}
+      </p>
+      <ul className="work-list">
+        {shown.map(({ fields, frontmatter }) => {
+          const cover = getImage(frontmatter.cover);
+          return (
+            <li key={fields.slug}>
+              <Link to={localize(`/work/${fields.slug}`)} className="work-card">
+                {cover && <GatsbyImage image={cover} alt="" />}
+                <h2>{frontmatter.title}</h2>
+                <p className="case-study-meta">{frontmatter.client} · {frontmatter.year}</p>
+                <p>{frontmatter.summary}</p>
+              </Link>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default WorkPage;
+
+export const query = graphql`
+  query WorkPage($locale: String!) {
+    work: allMarkdownRemark(
+      filter: { fields: { collection: { eq: "work" }, hidden: { eq: false }, locales: { eq: $locale } } }
+      sort: [{ frontmatter: { year: DESC } }, { frontmatter: { title: ASC } }]
+    ) {
+      nodes {
+        fields {
+          slug
+        }
+        frontmatter {
+          title
+          client
+          year
+          summary
+          services
+          cover {
+            childImageSharp {
+              gatsbyImageData(width: 640, aspectRatio: 1.5, layout: CONSTRAINED)
+            }
+          }
+        }
+      }
+    }
+    services: allMarkdownRemark(
+      filter: { fields: { collection: { eq: "services" }, hidden: { eq: false }, locales: { eq: $locale } } }
+      sort: { frontmatter: { order: ASC } }
+    ) {
+      nodes {
+        fields {
+          slug
+        }
+        frontmatter {
+          title
+        }
+      }
+    }
+  }
+`;
+
+export const Head = ({ location, pageContext }) => {
+  const t = translator(pageContext.locale);
+  return (
+    <SEO
+      title={`${t('work.title')} - 38 South`}
+      description={t('work.description')}
+      pathname={location.pathname}
+      schema={(site) => [breadcrumbs(site, [{ name: t('work.title'), path: location.pathname }])]}
+    />
+  );
+};
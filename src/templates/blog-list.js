@@ -0,0 +1,70 @@
+import React from 'react';
+import { graphql, Link } from 'gatsby';
+import '../scss/global.scss';
+import '../scss/work.scss';
+import '../scss/blog.scss';
+import { SEO } from '../components/seo';
+import { useLocale } from '../hooks/use-locale';
+import { localizePath } from '../lib/i18n/paths';
+import { translator } from '../lib/i18n/translate';
+import { breadcrumbs } from '../lib/seo/structured-data';
+import PostList, { FeedLinks } from '../components/PostList';
+
+const pagePath = (n) => (n === 1 ? '/insights' : `/insights/${n}`);
+
+// /insights and its numbered pages, per locale, created in gatsby-node.js. Each locale
+// has its own feeds (see onPostBuild there).
+const BlogListPage = ({ data, pageContext }) => {
+  const { currentPage, numPages } = pageContext;
+  const { t, localize } = useLocale();
+
+  return (
+    <div className="blog">
+      <h1>{t('insights.title')}</h1>
+      <p className="blog-feeds">
+        {t('insights.subscribe')} <a href={localize('/insights/rss.xml')}>RSS</a> · <a href={localize('/insights/atom.xml')}>Atom</a>
+      </p>
+      <PostList posts={data.posts.nodes} />
+
+      {numPages > 1 && (
+        <nav className="case-study-pager" aria-label={t('insights.pages')}>
+          {currentPage > 1 ? <Link to={localize(pagePath(currentPage - 1))} rel="prev">{t('insights.newer')}</Link> : <span />}
+          <span>{t('insights.pageOf', { page: currentPage, pages: numPages })}</span>
+          {currentPage < numPages ? <Link to={localize(pagePath(currentPage + 1))} rel="next">{t('insights.older')}</Link> : <span />}
+        </nav>
+      )}
+    </div>
+  );
+};
+
+export default BlogListPage;
+
+export const query = graphql`
+  query BlogListPage($locale: String!, $skip: Int!, $limit: Int!) {
+    posts: allMarkdownRemark(
+      filter: { fields: { collection: { eq: "blog" }, hidden: { eq: false }, locales: { eq: $locale } } }
+      sort: { frontmatter: { date: DESC } }
+      limit: $limit
+      skip: $skip
+    ) {
+      nodes {
+        ...PostSummary
+      }
+    }
+  }
+`;
+
+export const Head = ({ pageContext, location }) => {
+  const t = translator(pageContext.locale);
+  const title = pageContext.currentPage > 1 ? t('insights.titlePage', { page: pageContext.currentPage }) : t('insights.title');
+  return (
+    <SEO
+      title={`${title} - 38 South`}
+      description={t('insights.description')}
+      pathname={location.pathname}
+      schema={(site) => [breadcrumbs(site, [{ name: t('insights.title'), path: localizePath('/insights', pageContext.locale) }])]}
+    >
+      <FeedLinks locale={pageContext.locale} />
+    </SEO>
+  );
+};
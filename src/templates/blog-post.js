@@ -0,0 +1,96 @@
+import React from 'react';
+import { graphql, Link } from 'gatsby';
+import '../scss/global.scss';
+import '../scss/work.scss';
+import '../scss/blog.scss';
+import { SEO } from '../components/seo';
+import { article, breadcrumbs } from '../lib/seo/structured-data';
+import { ogImagePath } from '../lib/seo/og-image-path';
+import { useLocale } from '../hooks/use-locale';
+import { localizePath } from '../lib/i18n/paths';
+import { translator } from '../lib/i18n/translate';
+import { FeedLinks, PostByline, PostTags } from '../components/PostList';
+
+// One page per content/blog/*.md file and locale, created in gatsby-node.js (an
+// untranslated post shows the default locale's text)
+const BlogPostPage = ({ data, pageContext }) => {
+  const post = data.markdownRemark;
+  const { previous, next } = pageContext;
+  const { t, localize } = useLocale();
+
+  return (
+    <div className="blog">
+      <article>
+        <h1>{post.frontmatter.title}</h1>
+        <PostByline post={post} />
+        <div className="blog-body" dangerouslySetInnerHTML={{ __html: post.html }} />
+        <PostTags tags={post.fields.tags} />
+      </article>
+
+      <nav className="case-study-pager" aria-label={t('insights.more')}>
+        {previous && <Link to={previous.path} rel="prev">← {previous.title}</Link>}
+        <Link to={localize('/insights')}>{t('insights.all')}</Link>
+        {next && <Link to={next.path} rel="next">{next.title} →</Link>}
+      </nav>
+    </div>
+  );
+};
+
+export default BlogPostPage;
+
+export const query = graphql`
+  fragment PostSummary on MarkdownRemark {
+    excerpt(pruneLength: 200)
+    timeToRead
+    fields {
+      path
+      tags {
+        name
+        slug
+      }
+    }
+    frontmatter {
+      title
+      author
+      summary
+      date
+    }
+  }
+
+  query BlogPostPage($id: String!) {
+    markdownRemark(id: { eq: $id }) {
+      ...PostSummary
+      html
+    }
+  }
+`;
+
+export const Head = ({ data, pageContext, location }) => {
+  const post = data.markdownRemark;
+  const t = translator(pageContext.locale);
+  const description = post.frontmatter.summary || post.excerpt;
+  return (
+    <SEO
+      title={`${post.frontmatter.title} - 38 South`}
+      description={description}
+      pathname={location.pathname}
+      type="article"
+      schema={(site) => [
+        article({
+          headline: post.frontmatter.title,
+          description,
+          url: `${site.siteUrl}${location.pathname}`,
+          image: `${site.siteUrl}${ogImagePath(location.pathname)}`,
+          datePublished: post.frontmatter.date,
+          author: post.frontmatter.author,
+        }),
+        breadcrumbs(site, [
+          { name: t('insights.title'), path: localizePath('/insights', pageContext.locale) },
+          { name: post.frontmatter.title, path: location.pathname },
+        ]),
+      ]}
+    >
+      <FeedLinks locale={pageContext.locale} />
+    </SEO>
+  );
+};
@@ -0,0 +1,62 @@
+import React from 'react';
+import { graphql, Link } from 'gatsby';
+import '../scss/global.scss';
+import '../scss/work.scss';
+import '../scss/blog.scss';
+import { SEO } from '../components/seo';
+import { useLocale } from '../hooks/use-locale';
+import { localizePath } from '../lib/i18n/paths';
+import { translator } from '../lib/i18n/translate';
+import { breadcrumbs } from '../lib/seo/structured-data';
+import PostList from '../components/PostList';
+
+// /insights/tags/<tag>, one per tag in use in each locale, created in gatsby-node.js
+const BlogTagPage = ({ data, pageContext }) => {
+  const { t, localize } = useLocale();
+  return (
+    <div className="blog">
+      <h1>{t('insights.tag', { tag: pageContext.name })}</h1>
+      <PostList posts={data.posts.nodes} />
+      <p><Link to={localize('/insights')}>{t('insights.all')}</Link></p>
+    </div>
+  );
+};
+
+export default BlogTagPage;
+
+export const query = graphql`
+  query BlogTagPage($locale: String!, $tag: String!) {
+    posts: allMarkdownRemark(
+      filter: {
+        fields: {
+          collection: { eq: "blog" }
+          hidden: { eq: false }
+          locales: { eq: $locale }
+          tags: { elemMatch: { slug: { eq: $tag } } }
+        }
+      }
+      sort: { frontmatter: { date: DESC } }
+    ) {
+      nodes {
+        ...PostSummary
+      }
+    }
+  }
+`;
+
+export const Head = ({ pageContext, location }) => {
+  const t = translator(pageContext.locale);
+  return (
+    <SEO
+      title={`${t('insights.tag', { tag: pageContext.name })} - 38 South`}
+      description={t('insights.tagDescription', { tag: pageContext.name })}
+      pathname={location.pathname}
+      schema={(site) => [
+        breadcrumbs(site, [
+          { name: t('insights.title'), path: localizePath('/insights', pageContext.locale) },
+          { name: pageContext.name, path: location.pathname },
+        ]),
+      ]}
+    />
+  );
+};
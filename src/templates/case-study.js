@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { graphql, Link } from 'gatsby';
+import { GatsbyImage, getImage } from 'gatsby-plugin-image';
+import '../scss/global.scss';
+import '../scss/work.scss';
+import { SEO } from '../components/seo';
+import { breadcrumbs } from '../lib/seo/structured-data';
+import Lightbox from '../components/Lightbox';
+import { useLocale } from '../hooks/use-locale';
+import { localizePath } from '../lib/i18n/paths';
+import { translator } from '../lib/i18n/translate';
+
+// One page per content/work/<slug>/index.md and locale, created in gatsby-node.js;
+// index.ko.md next to it is the Korean copy, sharing the gallery
+const CaseStudyPage = ({ data, pageContext }) => {
+  const { frontmatter, html } = data.markdownRemark;
+  const { t, localize } = useLocale();
+  const { previous, next } = pageContext;
+  const services = frontmatter.services || [];
+  const stack = frontmatter.stack || [];
+  const outcomes = frontmatter.outcomes || [];
+  const [open, setOpen] = useState(null);
+
+  const serviceTitles = Object.fromEntries(
+    data.services.nodes.map(({ fields, frontmatter }) => [fields.slug, frontmatter.title])
+  );
+  const gallery = data.gallery.nodes.map((file, i) => ({
+    thumb: getImage(file.thumb),
+    image: getImage(file.full),
+    alt: t('work.image', { title: frontmatter.title, number: i + 1 }),
+  }));
+
+  return (
+    <div className="case-study">
+      <p className="case-study-meta">{frontmatter.client} · {frontmatter.year}</p>
+      <h1>{frontmatter.title}</h1>
+
+      <dl className="case-study-facts">
+        <dt>{t('work.services')}</dt>
+        <dd>
+          {services.map((slug) => (
+            <Link key={slug} to={localize(`/work?service=${slug}`)} className="work-tag">{serviceTitles[slug] || slug}</Link>
+          ))}
+        </dd>
+        <dt>{t('work.stack')}</dt>
+        <dd>{stack.join(', ')}</dd>
+      </dl>
+
+      {outcomes.length > 0 && (
+        <ul className="case-study-outcomes">
+          {outcomes.map(({ label, value }) => (
+            <li key={label}>
+              <strong>{value}</strong>
+              <span>{label}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="case-study-body" dangerouslySetInnerHTML={{ __html: html }} />
+
+      {gallery.length > 0 && (
+        <ul className="case-study-gallery">
+          {gallery.map(({ thumb, alt }, i) => (
+            <li key={i}>
+              <button type="button" onClick={() => setOpen(i)} aria-label={t('work.viewImage', { image: alt })}>
+                <GatsbyImage image={thumb} alt={alt} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <Lightbox images={gallery} index={open} onChange={setOpen} onClose={() => setOpen(null)} />
+
+      <nav className="case-study-pager" aria-label={t('work.more')}>
+        {previous && <Link to={previous.path} rel="prev">← {previous.title}</Link>}
+        <Link to={localize('/work')}>{t('work.allWork')}</Link>
+        {next && <Link to={next.path} rel="next">{next.title} →</Link>}
+      </nav>
+    </div>
+  );
+};
+
+export default CaseStudyPage;
+
+export const query = graphql`
+  query CaseStudyPage($id: String!, $locale: String!, $galleryDir: String!) {
+    markdownRemark(id: { eq: $id }) {
+      html
+      frontmatter {
+        title
+        client
+        year
+        services
+        stack
+        summary
+        outcomes {
+          label
+          value
+        }
+      }
+    }
+    gallery: allFile(
+      filter: {
+        sourceInstanceName: { eq: "work" }
+        relativeDirectory: { eq: $galleryDir }
+        extension: { in: ["jpg", "jpeg", "png", "webp", "avif"] }
+      }
+      sort: { name: ASC }
+    ) {
+      nodes {
+        thumb: childImageSharp {
+          gatsbyImageData(width: 480, aspectRatio: 1.5, layout: CONSTRAINED)
+        }
+        full: childImageSharp {
+          gatsbyImageData(width: 1600, layout: CONSTRAINED, placeholder: NONE)
+        }
+      }
+    }
+    services: allMarkdownRemark(filter: { fields: { collection: { eq: "services" }, hidden: { eq: false }, locales: { eq: $locale } } }) {
+      nodes {
+        fields {
+          slug
+        }
+        frontmatter {
+          title
+        }
+      }
+    }
+  }
+`;
+
+export const Head = ({ data, pageContext, location }) => (
+  <SEO
+    title={`${data.markdownRemark.frontmatter.title} - 38 South`}
+    description={data.markdownRemark.frontmatter.summary}
+    pathname={location.pathname}
+    schema={(site) => [
+      breadcrumbs(site, [
+        { name: translator(pageContext.locale)('work.title'), path: localizePath('/work', pageContext.locale) },
+        { name: data.markdownRemark.frontmatter.title, path: location.pathname },
+      ]),
+    ]}
+  />
+);
@@ -0,0 +1,62 @@
+import React from 'react';
+import { graphql, Link } from 'gatsby';
+import { GatsbyImage, getImage } from 'gatsby-plugin-image';
+import '../scss/global.scss';
+import { SEO } from '../components/seo';
+import { breadcrumbs, service } from '../lib/seo/structured-data';
+import Icon from '../components/Icon';
+import { useLocale } from '../hooks/use-locale';
+
+// One page per content/services/*.md file and locale, created in gatsby-node.js
+const ServicePage = ({ data }) => {
+  const { frontmatter, html } = data.markdownRemark;
+  const { t, localize } = useLocale();
+  const hero = getImage(frontmatter.hero);
+
+  return (
+    <div className="service">
+      {hero && <GatsbyImage image={hero} alt="" className="service-hero" />}
+      <h1 className="service-title">
+        {frontmatter.icon && <Icon name={frontmatter.icon} className="service-icon" />}
+        {frontmatter.title}
+      </h1>
+      <div className="service-body" dangerouslySetInnerHTML={{ __html: html }} />
+      <Link to={localize('/')} className="service-back">{t('service.back')}</Link>
+    </div>
+  );
+};
+
+export default ServicePage;
+
+export const query = graphql`
+  query ServicePage($id: String!) {
+    markdownRemark(id: { eq: $id }) {
+      html
+      frontmatter {
+        title
+        icon
+        summary
+        hero {
+          childImageSharp {
+            gatsbyImageData(width: 960, layout: CONSTRAINED)
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const Head = ({ data, location }) => {
+  const { title, summary } = data.markdownRemark.frontmatter;
+  return (
+    <SEO
+      title={`${title} - 38 South`}
+      description={summary}
+      pathname={location.pathname}
+      schema={(site) => [
+        service(site, { name: title, description: summary, url: `${site.siteUrl}${location.pathname}` }),
+        breadcrumbs(site, [{ name: title, path: location.pathname }]),
+      ]}
+    />
+  );
+};
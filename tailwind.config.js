@@ -1,10 +1,15 @@
+const { tailwindTheme } = require("./gatsby/tokens")
+
 module.exports = {
+  // dark: utilities follow the site's theme switch rather than the OS setting
+  darkMode: ["selector", '[data-theme="dark"]'],
   content: [
     "./src/pages/**/*.{js,jsx,ts,tsx}",
     "./src/components/**/*.{js,jsx,ts,tsx}",
   ],
   theme: {
-    extend: {},
+    // Colours, spacing, radii, type scale and durations from src/config/tokens.js
+    extend: tailwindTheme(),
   },
   plugins: [],
 }
\ No newline at end of file